@@ -0,0 +1,165 @@
+/**
+ * Build metadata helpers shared by vite.config.js and generate-build-info.js
+ *
+ * The build identifier is resolved once per build and stamped into the
+ * service worker (cache names), the client bundle (__BUILD_ID__) and the
+ * /docs/build + /docs/build-info.json metadata files.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { execFileSync } from 'child_process';
+import { resolve, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const docsDir = resolve(__dirname, '../docs');
+const rootDir = resolve(__dirname, '..');
+
+// Changelog entries embedded in build-info.json, newest first
+const CHANGELOG_MAX_ENTRIES = 10;
+const CHANGELOG_MAX_CHANGES = 20;
+
+function readPackageVersion() {
+  return JSON.parse(readFileSync(resolve(rootDir, 'package.json'), 'utf-8')).version;
+}
+
+/**
+ * Resolve the build identifier for this build
+ * Format: <package version>+build.<timestamp> (semver build metadata)
+ * Set BUILD_ID in the environment to pin it (e.g. reproducible CI builds)
+ * @returns {string} Build identifier
+ */
+export function resolveBuildId() {
+  if (process.env.BUILD_ID) {
+    return process.env.BUILD_ID;
+  }
+
+  return `${readPackageVersion()}+build.${Date.now()}`;
+}
+
+/**
+ * Resolve the changelog for build-info.json
+ * Reads CHANGELOG.md (Keep a Changelog format) when the project has one,
+ * otherwise derives entries from git: commits between consecutive version
+ * tags, plus commits since the latest tag under the package version.
+ * @returns {Array<{version: string, date: string|null, changes: string[]}>} Newest first
+ */
+export function resolveChangelog() {
+  const changelogPath = resolve(rootDir, 'CHANGELOG.md');
+  const entries = existsSync(changelogPath)
+    ? parseChangelog(readFileSync(changelogPath, 'utf-8'))
+    : changelogFromGit();
+
+  return entries
+    .filter(entry => entry.changes.length > 0)
+    .slice(0, CHANGELOG_MAX_ENTRIES)
+    .map(entry => ({ ...entry, changes: entry.changes.slice(0, CHANGELOG_MAX_CHANGES) }));
+}
+
+// "## [1.2.0] - 2024-05-01" headings, "- change" bullets; "### Added" style
+// subheadings prefix their bullets. The [Unreleased] section is skipped.
+function parseChangelog(markdown) {
+  const entries = [];
+  let entry = null;
+  let section = null;
+
+  for (const line of markdown.split('\n')) {
+    const heading = /^##\s+\[?([^\]\s]+)\]?(?:\s+-\s+(\S+))?/.exec(line);
+    if (heading) {
+      entry = /^unreleased$/i.test(heading[1])
+        ? null
+        : { version: heading[1].replace(/^v/, ''), date: heading[2] || null, changes: [] };
+      if (entry) entries.push(entry);
+      section = null;
+      continue;
+    }
+
+    const subheading = /^###\s+(.+)/.exec(line);
+    if (subheading) {
+      section = subheading[1].trim();
+      continue;
+    }
+
+    const bullet = /^\s*[-*]\s+(.+)/.exec(line);
+    if (bullet && entry) {
+      entry.changes.push(section ? `${section}: ${bullet[1].trim()}` : bullet[1].trim());
+    }
+  }
+
+  return entries;
+}
+
+function git(args) {
+  return execFileSync('git', args, { cwd: rootDir, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+}
+
+function gitSubjects(range) {
+  const output = git(['log', '--no-merges', '--format=%s', ...range]);
+  return output ? output.split('\n') : [];
+}
+
+function changelogFromGit() {
+  try {
+    const tags = git(['tag', '--list', 'v[0-9]*', '[0-9]*', '--sort=-v:refname', '--merged', 'HEAD'])
+      .split('\n')
+      .filter(Boolean);
+    const entries = tags.map((tag, index) => ({
+      version: tag.replace(/^v/, ''),
+      date: git(['log', '-1', '--format=%cs', tag]) || null,
+      changes: gitSubjects(tags[index + 1] ? [`${tags[index + 1]}..${tag}`] : [tag, `-${CHANGELOG_MAX_CHANGES}`])
+    }));
+
+    // Commits since the latest tag ship under the package version
+    const unreleased = gitSubjects(tags[0] ? [`${tags[0]}..HEAD`] : ['HEAD', `-${CHANGELOG_MAX_CHANGES}`]);
+    if (unreleased.length > 0) {
+      const version = readPackageVersion();
+      if (entries[0]?.version === version) {
+        entries[0].changes.unshift(...unreleased);
+      } else {
+        entries.unshift({ version, date: git(['log', '-1', '--format=%cs']) || null, changes: unreleased });
+      }
+    }
+
+    return entries;
+  } catch (error) {
+    // Not a git checkout (or git is missing) - ship without a changelog
+    return [];
+  }
+}
+
+/**
+ * Write /docs/build and /docs/build-info.json for the given build
+ * @param {string} buildId - Build identifier stamped into this build
+ * @param {Object} options - Optional metadata
+ * @param {Array<{url: string, revision: string}>} options.precache - Precache
+ *   manifest injected into sw.js; clients diff it against the running one
+ */
+export function writeBuildInfo(buildId, { precache } = {}) {
+  const buildDate = new Date().toISOString();
+
+  // Create simple version file
+  const versionContent = `${buildId}\n`;
+  writeFileSync(resolve(docsDir, 'build'), versionContent, 'utf-8');
+
+  // Create detailed build info JSON
+  const buildInfo = {
+    buildId,
+    version: buildId,
+    timestamp: buildDate,
+    node_version: process.version,
+    platform: process.platform,
+    // Shown in the update prompt - set RELEASE_NOTES when building a release
+    releaseNotes: process.env.RELEASE_NOTES || null,
+    changelog: resolveChangelog()
+  };
+  if (precache) {
+    buildInfo.precache = precache;
+  }
+  writeFileSync(resolve(docsDir, 'build-info.json'), JSON.stringify(buildInfo, null, 2), 'utf-8');
+
+  console.log(`✓ Build metadata generated: ${buildId}`);
+  console.log(`  - /docs/build`);
+  console.log(`  - /docs/build-info.json`);
+}
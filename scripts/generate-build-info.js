@@ -2,33 +2,30 @@
 /**
  * Generate build metadata files for production builds
  * Creates /docs/build and /docs/build-info.json
+ *
+ * `npm run build` writes these through the generate-build-info plugin in
+ * vite.config.js. Running this script standalone regenerates them for the
+ * build already in /docs, reusing its stamped ID so the service worker and
+ * the metadata stay in sync.
  */
 
-import { writeFileSync } from 'fs';
-import { resolve, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { docsDir, resolveBuildId, writeBuildInfo } from './build-info.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+let buildId;
+try {
+  buildId = readFileSync(resolve(docsDir, 'build'), 'utf-8').trim();
+} catch (error) {
+  buildId = resolveBuildId();
+}
 
-const docsDir = resolve(__dirname, '../docs');
-const buildDate = new Date().toISOString();
-const buildVersion = `build-${Date.now()}`;
-
-// Create simple version file
-const versionContent = `${buildVersion}\n`;
-writeFileSync(resolve(docsDir, 'build'), versionContent, 'utf-8');
-
-// Create detailed build info JSON
-const buildInfo = {
-  version: buildVersion,
-  timestamp: buildDate,
-  node_version: process.version,
-  platform: process.platform
-};
-writeFileSync(resolve(docsDir, 'build-info.json'), JSON.stringify(buildInfo, null, 2), 'utf-8');
-
-console.log(`✓ Build metadata generated: ${buildVersion}`);
-console.log(`  - /docs/build`);
-console.log(`  - /docs/build-info.json`);
+// Keep the precache manifest that was injected into the built sw.js
+let precache;
+try {
+  precache = JSON.parse(readFileSync(resolve(docsDir, 'build-info.json'), 'utf-8')).precache;
+} catch (error) {
+  precache = undefined;
+}
 
+writeBuildInfo(process.env.BUILD_ID || buildId, { precache });
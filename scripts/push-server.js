@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in push server for development and testing
+ *
+ * Stores push subscriptions and delivers Web Push messages (VAPID auth,
+ * aes128gcm payload encryption) using only Node's crypto module.
+ *
+ * Usage: npm run push-server  → http://localhost:3458
+ *   GET    /api/push/vapid-public-key  → { publicKey }
+ *   POST   /api/push/subscriptions     ← PushSubscription JSON
+ *   DELETE /api/push/subscriptions     ← { endpoint }
+ *   POST   /api/push/send              ← { title, body, icon, url, tag, actions }
+ *
+ * The dev server proxies /api/push to this server (see vite.config.js).
+ * VAPID keys and subscriptions persist in PUSH_SERVER_STATE
+ * (default: <tmpdir>/pwa-template-push-server.json).
+ */
+
+import { createServer } from 'http';
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { resolve } from 'path';
+import {
+  createECDH,
+  createHmac,
+  createCipheriv,
+  createPrivateKey,
+  randomBytes,
+  sign
+} from 'crypto';
+
+const PORT = Number(process.env.PUSH_SERVER_PORT) || 3458; // See PORT_REGISTRY.md
+const STATE_FILE = process.env.PUSH_SERVER_STATE || resolve(tmpdir(), 'pwa-template-push-server.json');
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:dev@localhost';
+
+// Base64url helpers
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (value) => Buffer.from(value, 'base64url');
+
+// State: VAPID keys + subscriptions keyed by endpoint
+function loadState() {
+  if (existsSync(STATE_FILE)) {
+    return JSON.parse(readFileSync(STATE_FILE, 'utf-8'));
+  }
+
+  const ecdh = createECDH('prime256v1');
+  ecdh.generateKeys();
+  const state = {
+    vapid: {
+      publicKey: toBase64Url(ecdh.getPublicKey()),
+      privateKey: toBase64Url(ecdh.getPrivateKey())
+    },
+    subscriptions: {}
+  };
+  saveState(state);
+  return state;
+}
+
+function saveState(state) {
+  writeFileSync(STATE_FILE, JSON.stringify(state, null, 2), 'utf-8');
+}
+
+const state = loadState();
+
+// VAPID (RFC 8292) - ES256-signed JWT identifying this application server
+function createVapidHeader(endpoint) {
+  const publicKey = fromBase64Url(state.vapid.publicKey);
+  const key = createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: state.vapid.privateKey,
+      x: toBase64Url(publicKey.subarray(1, 33)),
+      y: toBase64Url(publicKey.subarray(33, 65))
+    },
+    format: 'jwk'
+  });
+
+  const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = toBase64Url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+    sub: VAPID_SUBJECT
+  }));
+  const signature = sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+
+  return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${state.vapid.publicKey}`;
+}
+
+// HKDF (RFC 5869) for a single output block
+function hkdf(salt, ikm, info, length) {
+  const prk = createHmac('sha256', salt).update(ikm).digest();
+  return createHmac('sha256', prk).update(Buffer.concat([info, Buffer.from([1])])).digest().subarray(0, length);
+}
+
+// Message encryption (RFC 8291) - aes128gcm content coding, single record
+function encryptPayload(subscription, payload) {
+  const userAgentPublicKey = fromBase64Url(subscription.keys.p256dh);
+  const authSecret = fromBase64Url(subscription.keys.auth);
+
+  const ecdh = createECDH('prime256v1');
+  const serverPublicKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(userAgentPublicKey);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+  const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+
+  const salt = randomBytes(16);
+  const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const cipher = createCipheriv('aes-128-gcm', contentKey, nonce);
+  // 0x02 marks the last (and only) record
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+  const recordSize = Buffer.alloc(4);
+  recordSize.writeUInt32BE(4096);
+  const header = Buffer.concat([salt, recordSize, Buffer.from([serverPublicKey.length]), serverPublicKey]);
+
+  return Buffer.concat([header, ciphertext]);
+}
+
+async function sendPush(subscription, message) {
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      Authorization: createVapidHeader(subscription.endpoint),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      TTL: '86400'
+    },
+    body: encryptPayload(subscription, JSON.stringify(message))
+  });
+
+  return { endpoint: subscription.endpoint, status: response.status };
+}
+
+// HTTP API
+function readJson(request) {
+  return new Promise((resolvePromise, reject) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      try {
+        resolvePromise(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS'
+};
+
+function sendJson(response, status, data) {
+  response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(data));
+}
+
+const routes = {
+  'GET /api/push/vapid-public-key': async () => [200, { publicKey: state.vapid.publicKey }],
+
+  'POST /api/push/subscriptions': async (body) => {
+    if (!body.endpoint || !body.keys?.p256dh || !body.keys?.auth) {
+      return [400, { error: 'Invalid subscription' }];
+    }
+    state.subscriptions[body.endpoint] = body;
+    saveState(state);
+    console.log(`➕ Subscribed: ${body.endpoint}`);
+    return [201, { subscribed: true }];
+  },
+
+  'DELETE /api/push/subscriptions': async (body) => {
+    const existed = !!state.subscriptions[body.endpoint];
+    delete state.subscriptions[body.endpoint];
+    saveState(state);
+    console.log(`➖ Unsubscribed: ${body.endpoint}`);
+    return [200, { unsubscribed: existed }];
+  },
+
+  'POST /api/push/send': async (body) => {
+    const message = {
+      title: body.title || 'PWA Template',
+      body: body.body || '',
+      icon: body.icon,
+      url: body.url || '/',
+      tag: body.tag,
+      actions: body.actions
+    };
+
+    const results = await Promise.all(
+      Object.values(state.subscriptions).map(subscription =>
+        sendPush(subscription, message).catch(error => ({ endpoint: subscription.endpoint, error: error.message }))
+      )
+    );
+
+    // Push services answer 404/410 for subscriptions that no longer exist
+    results
+      .filter(result => result.status === 404 || result.status === 410)
+      .forEach(result => delete state.subscriptions[result.endpoint]);
+    saveState(state);
+
+    console.log(`📨 Sent "${message.title}" to ${results.length} subscriptions`);
+    return [200, { results }];
+  }
+};
+
+const server = createServer(async (request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, CORS_HEADERS);
+    response.end();
+    return;
+  }
+
+  const route = routes[`${request.method} ${new URL(request.url, 'http://localhost').pathname}`];
+  if (!route) {
+    sendJson(response, 404, { error: 'Not found' });
+    return;
+  }
+
+  try {
+    const [status, data] = await route(await readJson(request));
+    sendJson(response, status, data);
+  } catch (error) {
+    console.error('❌ Push server error:', error);
+    sendJson(response, 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🔔 Push server running on http://localhost:${PORT}`);
+  console.log(`   VAPID public key: ${state.vapid.publicKey}`);
+  console.log(`   State file: ${STATE_FILE}`);
+});
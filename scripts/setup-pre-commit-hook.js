@@ -24,6 +24,14 @@ const hookContent = `#!/bin/bash
 
 set -e
 
+# An emergency kill-switch build (npm run build:kill-switch) is staged -
+# a normal rebuild would replace its service worker and reset the flag
+if [ "$SW_KILL_SWITCH" = "true" ] || \\
+   git show :docs/sw-kill-switch.json 2>/dev/null | grep -q '"killSwitch": true'; then
+  echo "🛑 Pre-commit: kill-switch build staged - skipping rebuild"
+  exit 0
+fi
+
 echo "🔨 Pre-commit: Building /docs from /src..."
 
 # Build the project
@@ -41,4 +49,5 @@ chmodSync(hookPath, 0o755);
 console.log('✓ Pre-commit hook installed at .git/hooks/pre-commit');
 console.log('  - Automatically builds /docs before each commit');
 console.log('  - Ensures /src and /docs stay in sync');
+console.log('  - Leaves staged kill-switch builds alone');
 
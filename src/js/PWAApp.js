@@ -4,6 +4,7 @@
  */
 
 import StorageManager from './utils/StorageManager.js';
+import EncryptedStore from './utils/EncryptedStore.js';
 import ThemeManager from './utils/ThemeManager.js';
 import NotificationManager from './utils/NotificationManager.js';
 import PerformanceMonitor from './utils/PerformanceMonitor.js';
@@ -12,6 +13,13 @@ import ServiceWorkerManager from './service-workers/ServiceWorkerManager.js';
 import DemoDataManager from './utils/DemoDataManager.js';
 import logger from './utils/Logger.js';
 import EventHelper from './utils/EventHelper.js';
+import tabCoordinator, { TAB_EVENTS } from './utils/TabCoordinator.js';
+import scheduler from './utils/TaskScheduler.js';
+import { BUILD_ID, fetchDeployedBuildInfo } from './utils/BuildInfo.js';
+import { getChangelogBetween, renderChangelog } from './utils/Changelog.js';
+
+const UPDATE_STATE_KEY = 'pwa_template_update_state';
+const SEEN_VERSION_KEY = 'pwa_template_seen_version';
 
 class PWAApp {
   constructor() {
@@ -23,12 +31,18 @@ class PWAApp {
     this.cacheBustingManager = new CacheBustingManager();
     this.serviceWorkerManager = new ServiceWorkerManager();
     this.demoDataManager = new DemoDataManager(this.platformAPI, this.storageManager);
+    // Passphrase-protected records (opt-in) - see EncryptedStore.js
+    this.encryptedStore = new EncryptedStore(this.storageManager);
+    this.currentPage = 'main';
     
     // Configuration
     this.config = {
       autoUpdateCheck: true,
       updateCheckInterval: 30000, // 30 seconds
+      contentRefreshInterval: 60 * 60 * 1000, // 1 hour
       enableNotifications: true,
+      // VAPID public key for push messages (npm run push-server prints one)
+      pushPublicKey: null,
       enableAnalytics: true,
       debugMode: localStorage.getItem('debug') === 'true'
     };
@@ -60,9 +74,15 @@ class PWAApp {
       // Show content after initialization
       this.showContent();
       
+      // Show what changed since the last build this user saw
+      this.checkWhatsNew();
+      
       this.isInitialized = true;
       logger.success('PWA Template initialized successfully');
       
+      // Confirm this build boots - repeated failures roll back to the previous one
+      await this.serviceWorkerManager.reportHealthy(BUILD_ID);
+      
     } catch (error) {
       logger.error('❌ Failed to initialize PWA Template:', error);
       this.handleInitializationError(error);
@@ -70,6 +90,9 @@ class PWAApp {
   }
 
   async initializeManagers() {
+    // Join the other open tabs - decides which one runs periodic checks
+    tabCoordinator.start();
+    
     // Initialize storage manager first
     await this.storageManager.initialize();
     
@@ -142,6 +165,14 @@ class PWAApp {
     if (dismissUpdate) {
       EventHelper.addUniversalHandler(dismissUpdate, () => {
         this.hideUpdatePrompt();
+        tabCoordinator.broadcast(TAB_EVENTS.UPDATE_DISMISSED);
+      });
+    }
+    
+    const dismissWhatsNew = document.getElementById('dismiss-whats-new');
+    if (dismissWhatsNew) {
+      EventHelper.addUniversalHandler(dismissWhatsNew, () => {
+        this.hideWhatsNew();
       });
     }
     
@@ -172,6 +203,11 @@ class PWAApp {
       this.themeManager.setTheme(e.target.value);
     });
     
+    this.themeManager.onThemeChange(({ currentTheme }) => {
+      this.updateThemeToggleButton();
+      tabCoordinator.broadcast(TAB_EVENTS.THEME_CHANGED, { theme: currentTheme });
+    });
+    
     document.getElementById('notifications-toggle')?.addEventListener('change', (e) => {
       this.updateNotificationSettings(e.target.checked);
     });
@@ -180,9 +216,65 @@ class PWAApp {
       this.updateAutoUpdateSettings(e.target.checked);
     });
     
+    document.getElementById('background-refresh-toggle')?.addEventListener('change', (e) => {
+      this.updateBackgroundRefreshSettings(e.target.checked);
+    });
+    
+    // Backup export/import
+    const exportBackupBtn = document.getElementById('export-backup-btn');
+    if (exportBackupBtn) {
+      EventHelper.addUniversalHandler(exportBackupBtn, () => {
+        this.exportBackup();
+      });
+    }
+    
+    const importBackupBtn = document.getElementById('import-backup-btn');
+    if (importBackupBtn) {
+      EventHelper.addUniversalHandler(importBackupBtn, () => {
+        this.importBackup();
+      });
+    }
+    
+    const logoutBtn = document.getElementById('logout-btn');
+    if (logoutBtn) {
+      EventHelper.addUniversalHandler(logoutBtn, () => {
+        this.logout();
+      });
+    }
+    
+    // Rejected settings/data values (shown on the settings page)
+    this.storageManager.onValidationError((event) => {
+      this.showValidationErrors(event);
+    });
+    
     // Service worker events
-    this.serviceWorkerManager.onUpdate(() => {
-      this.showUpdatePrompt();
+    this.serviceWorkerManager.onUpdate((event) => {
+      if (event.type === 'update-available') {
+        this.showUpdatePrompt(event.data);
+        // Diff what changed off the update that was just found - one tab is enough
+        if (tabCoordinator.isLeader()) {
+          this.cacheBustingManager.checkForUpdates({ force: true, triggerUpdate: false });
+        }
+      } else if (event.type === 'reload-pending') {
+        logger.info('⏳', 'New version active - reloading when the app is hidden or idle');
+      }
+    });
+    
+    this.serviceWorkerManager.onBeforeUpdate(() => {
+      this.saveUpdateState();
+      return this.storageManager.flush();
+    });
+    
+    this.serviceWorkerManager.onRollback((event) => {
+      this.handleRollback(event.data);
+    });
+    
+    this.serviceWorkerManager.onNetworkTimeout((event) => {
+      this.handleNetworkTimeout(event.data);
+    });
+    
+    this.serviceWorkerManager.onQueueChange((event) => {
+      this.handleQueueChange(event);
     });
     
     // Cache busting events
@@ -200,6 +292,16 @@ class PWAApp {
       this.handleVisibilityChange();
     });
     
+    // Locking in one tab locks them all; a new passphrase re-locks the others
+    this.encryptedStore.onChange(async ({ type }) => {
+      if (type === 'unlocked') return;
+      await this.storageManager.flush();
+      tabCoordinator.broadcast(TAB_EVENTS.ENCRYPTED_STORE_CHANGED, { type });
+    });
+    
+    // Events from other open tabs
+    this.setupTabListeners();
+    
     // Online/offline events
     window.addEventListener('online', () => {
       this.handleOnlineStatusChange(true);
@@ -210,11 +312,90 @@ class PWAApp {
     });
   }
 
+  setupTabListeners() {
+    // Another tab accepted the update - reload with it when the worker activates
+    tabCoordinator.on(TAB_EVENTS.UPDATE_ACCEPTED, async () => {
+      this.hideUpdatePrompt();
+      await this.serviceWorkerManager.prepareForUpdate();
+    });
+    
+    tabCoordinator.on(TAB_EVENTS.UPDATE_DISMISSED, () => {
+      this.hideUpdatePrompt();
+    });
+    
+    // The preference is already saved - apply it without echoing it back
+    tabCoordinator.on(TAB_EVENTS.THEME_CHANGED, ({ theme }) => {
+      if (theme !== this.themeManager.getCurrentTheme()) {
+        this.themeManager.setTheme(theme);
+      }
+    });
+    
+    tabCoordinator.on(TAB_EVENTS.SETTINGS_CHANGED, async (updates) => {
+      await this.storageManager.refresh();
+      this.applySettings(updates);
+      if (this.currentPage === 'settings') {
+        this.loadSettings();
+      }
+    });
+    
+    // Locked, re-keyed or reset elsewhere - drop this tab's key and re-read
+    tabCoordinator.on(TAB_EVENTS.ENCRYPTED_STORE_CHANGED, async () => {
+      await this.storageManager.refresh();
+      this.encryptedStore.lock();
+    });
+    
+    tabCoordinator.on(TAB_EVENTS.LOGOUT, () => {
+      window.location.reload();
+    });
+  }
+
   setupPeriodicTasks() {
-    if (this.config.autoUpdateCheck) {
-      setInterval(() => {
-        this.checkForUpdates();
-      }, this.config.updateCheckInterval);
+    this.scheduleUpdateChecks(this.config.autoUpdateCheck);
+    this.setupContentRefresh(this.storageManager.getSettings()?.backgroundRefresh !== false);
+    
+    scheduler.onChange((jobs) => {
+      if (this.currentPage === 'settings') {
+        this.renderSchedulerStatus(jobs);
+      }
+    });
+  }
+
+  // Keep API content fresh for offline launches - Periodic Background Sync
+  // where the browser grants it, otherwise a scheduled refresh while open
+  async setupContentRefresh(enabled) {
+    if (!enabled) {
+      scheduler.cancel('content-refresh');
+      await this.serviceWorkerManager.unregisterPeriodicSync();
+      return;
+    }
+    
+    const registered = await this.serviceWorkerManager.registerPeriodicSync({
+      minInterval: this.config.contentRefreshInterval
+    });
+    if (registered) return;
+    
+    scheduler.schedule('content-refresh', async () => {
+      const result = await this.serviceWorkerManager.refreshContent();
+      return !!result && result.failed.length === 0;
+    }, {
+      interval: this.config.contentRefreshInterval,
+      leaderOnly: true
+    });
+  }
+
+  // The app's one periodic update check. Only the leader tab checks - every
+  // tab sees the update it finds, and the cache-busting diff runs off it
+  scheduleUpdateChecks(enabled) {
+    if (!enabled) {
+      scheduler.cancel('sw-update-check');
+      return;
+    }
+    
+    if (!scheduler.has('sw-update-check')) {
+      scheduler.schedule('sw-update-check', () => this.serviceWorkerManager.checkForUpdates(), {
+        interval: this.config.updateCheckInterval,
+        leaderOnly: true
+      });
     }
   }
 
@@ -229,6 +410,9 @@ class PWAApp {
       // Load settings
       this.loadSettings();
       
+      // Return to where the user was before an update reload
+      this.restoreUpdateState();
+      
       // Check for install prompt
       this.checkInstallPrompt();
     } catch (error) {
@@ -344,6 +528,8 @@ class PWAApp {
     const pageTitle = document.getElementById('page-title');
     const settingsBtn = document.getElementById('settings-btn');
     
+    this.currentPage = pageName;
+    
     if (pageName === 'settings') {
       // Show settings page
       mainContent.style.display = 'none';
@@ -351,7 +537,9 @@ class PWAApp {
       backBtn.style.display = 'block';
       settingsBtn.style.display = 'none';
       pageTitle.textContent = 'Settings';
+      this.hideValidationErrors();
       this.loadSettings();
+      this.renderSchedulerStatus();
       
       // Scroll to top
       window.scrollTo(0, 0);
@@ -377,7 +565,7 @@ class PWAApp {
       .then(data => {
         const buildEl = document.getElementById('build-version');
         if (buildEl) {
-          buildEl.textContent = data.build || 'Unknown';
+          buildEl.textContent = data.buildId || data.version || 'Unknown';
         }
       })
       .catch(() => {
@@ -407,18 +595,197 @@ class PWAApp {
       throw new Error('Auto-update toggle element not found - check HTML structure');
     }
     autoUpdateToggle.checked = settings.autoUpdate !== false;
+    
+    // Update background refresh toggle
+    const backgroundRefreshToggle = document.getElementById('background-refresh-toggle');
+    if (!backgroundRefreshToggle) {
+      throw new Error('Background refresh toggle element not found - check HTML structure');
+    }
+    backgroundRefreshToggle.checked = settings.backgroundRefresh !== false;
+  }
+
+  // Validation errors from StorageManager - values that were rejected on
+  // save or import, listed with the key they belong to
+  showValidationErrors({ source, errors }) {
+    const container = document.getElementById('settings-errors');
+    const list = document.getElementById('settings-errors-list');
+    if (!container || !list) return;
+    
+    list.replaceChildren(...errors.map(({ path, message, value }) => {
+      const item = document.createElement('li');
+      item.textContent = `${path} ${message} (got ${JSON.stringify(value)})`;
+      return item;
+    }));
+    container.dataset.source = source;
+    container.style.display = 'block';
+  }
+
+  hideValidationErrors() {
+    const container = document.getElementById('settings-errors');
+    if (container) {
+      container.style.display = 'none';
+    }
+  }
+
+  // Backups (see Backup.js) - the passphrase field is optional for both
+  async exportBackup() {
+    const passphrase = document.getElementById('backup-passphrase')?.value || '';
+    const exported = await this.storageManager.exportData({ passphrase });
+    
+    if (exported) {
+      this.showBackupStatus(passphrase ? 'Encrypted backup exported - keep the passphrase safe' : 'Backup exported');
+    } else {
+      this.showBackupStatus('Export failed - see the console for details', { error: true });
+    }
+  }
+
+  async importBackup() {
+    const file = document.getElementById('import-backup-file')?.files[0];
+    if (!file) {
+      this.showBackupStatus('Choose a backup file to import', { error: true });
+      return;
+    }
+    
+    const mode = document.getElementById('import-mode')?.value || 'preview';
+    const passphrase = document.getElementById('backup-passphrase')?.value || '';
+    
+    this.hideValidationErrors();
+    const report = await this.storageManager.importData(file, { mode, passphrase });
+    if (!report.success) {
+      this.showBackupStatus(`Import failed: ${report.error}`, { error: true });
+      return;
+    }
+    
+    if (report.applied) {
+      // setItems() has already written - other tabs can re-read now
+      const settings = this.storageManager.getSettings();
+      this.applySettings(settings);
+      tabCoordinator.broadcast(TAB_EVENTS.SETTINGS_CHANGED, settings);
+      this.loadSettings();
+    }
+    
+    const { appVersion, exportDate, encrypted } = report.backup;
+    const source = `${encrypted ? 'Encrypted backup' : 'Backup'} from ${appVersion}` +
+      (exportDate ? ` (${new Date(exportDate).toLocaleString()})` : '');
+    const details = report.applied
+      ? [`Changed: ${this.describeChanges(report.changes[mode])}`]
+      : [
+        `Replace would change: ${this.describeChanges(report.changes.replace)}`,
+        `Merge would change: ${this.describeChanges(report.changes.merge)}`
+      ];
+    
+    this.showBackupStatus(`${report.applied ? 'Imported' : 'Preview'}: ${source}`, { details });
   }
 
-  updateNotificationSettings(enabled) {
-    this.storageManager.updateSettings({ notifications: enabled });
+  describeChanges({ added, changed, removed }) {
+    const parts = [
+      ...added.map(path => `+${path}`),
+      ...changed.map(path => `~${path}`),
+      ...removed.map(path => `-${path}`)
+    ];
+    return parts.length > 0 ? parts.join(', ') : 'nothing';
+  }
+
+  showBackupStatus(message, { error = false, details = [] } = {}) {
+    const status = document.getElementById('backup-status');
+    if (!status) return;
+    
+    const summary = document.createElement('p');
+    summary.textContent = message;
+    const list = document.createElement('ul');
+    list.replaceChildren(...details.map(detail => {
+      const item = document.createElement('li');
+      item.textContent = detail;
+      return item;
+    }));
+    
+    status.replaceChildren(summary, ...(details.length > 0 ? [list] : []));
+    status.classList.toggle('error', error);
+    status.style.display = 'block';
+  }
+
+  // Scheduled jobs in this tab - shown on the settings page in debug mode
+  renderSchedulerStatus(jobs = scheduler.getStatus()) {
+    const section = document.getElementById('scheduler-section');
+    const list = document.getElementById('scheduler-status');
+    if (!section || !list || !this.config.debugMode) return;
+    
+    section.style.display = 'block';
+    list.replaceChildren(...jobs.map(job => {
+      let state = job.state;
+      if (job.pauseReason) {
+        state = `paused (${job.pauseReason})`;
+      } else if (job.nextRun) {
+        state = `next in ${Math.max(0, Math.round((job.nextRun - Date.now()) / 1000))}s`;
+      }
+      if (job.leaderOnly && !tabCoordinator.isLeader()) {
+        state += ', leader tab only';
+      }
+      
+      const label = document.createElement('span');
+      label.textContent = `${job.name} - ${state} · ${job.runs} runs, ${job.failures} failed` +
+        (job.lastError ? ` · ${job.lastError}` : '');
+      
+      const cancel = document.createElement('button');
+      cancel.className = 'btn btn-secondary';
+      cancel.textContent = 'Cancel';
+      cancel.addEventListener('click', () => scheduler.cancel(job.name));
+      
+      const item = document.createElement('li');
+      item.append(label, cancel);
+      return item;
+    }));
+  }
+
+  async updateNotificationSettings(enabled) {
+    this.saveSettings({ notifications: enabled });
     if (enabled) {
-      this.notificationManager.requestPermission();
+      await this.notificationManager.requestPermission();
+      if (this.config.pushPublicKey) {
+        await this.notificationManager.subscribeToPush(this.config.pushPublicKey);
+      }
+    } else if (this.config.pushPublicKey) {
+      await this.notificationManager.unsubscribe();
     }
   }
 
   updateAutoUpdateSettings(enabled) {
-    this.storageManager.updateSettings({ autoUpdate: enabled });
-    this.config.autoUpdateCheck = enabled;
+    this.saveSettings({ autoUpdate: enabled });
+  }
+
+  updateBackgroundRefreshSettings(enabled) {
+    this.saveSettings({ backgroundRefresh: enabled });
+  }
+
+  // Save, apply and share with the other open tabs
+  async saveSettings(updates) {
+    this.storageManager.updateSettings(updates);
+    this.applySettings(updates);
+    
+    // Other tabs re-read storage when notified, so the write must land first
+    await this.storageManager.flush();
+    tabCoordinator.broadcast(TAB_EVENTS.SETTINGS_CHANGED, updates);
+  }
+
+  applySettings(updates) {
+    if ('autoUpdate' in updates) {
+      this.config.autoUpdateCheck = updates.autoUpdate;
+      this.scheduleUpdateChecks(updates.autoUpdate);
+    }
+    
+    if ('backgroundRefresh' in updates) {
+      this.setupContentRefresh(updates.backgroundRefresh);
+    }
+  }
+
+  // Clear user data in every open tab and start them all fresh
+  async logout() {
+    this.encryptedStore.lock();
+    this.storageManager.clearData();
+    this.storageManager.setApiToken(null);
+    await this.storageManager.flush();
+    tabCoordinator.broadcast(TAB_EVENTS.LOGOUT);
+    window.location.reload();
   }
 
   // Install Prompt
@@ -467,9 +834,22 @@ class PWAApp {
   }
 
   // Update Prompt
-  showUpdatePrompt() {
+  showUpdatePrompt(update = {}) {
     const prompt = document.getElementById('update-prompt');
     if (prompt) {
+      const releaseNotes = document.getElementById('update-release-notes');
+      if (releaseNotes) {
+        releaseNotes.textContent = update?.releaseNotes || '';
+        releaseNotes.style.display = update?.releaseNotes ? 'block' : 'none';
+      }
+      
+      // Entries between the running build and the waiting one
+      const changelog = document.getElementById('update-changelog');
+      if (changelog) {
+        const entries = getChangelogBetween(update?.buildInfo?.changelog, BUILD_ID, update?.version);
+        renderChangelog(changelog, entries);
+        changelog.style.display = entries.length > 0 ? 'block' : 'none';
+      }
       prompt.style.display = 'block';
     }
   }
@@ -483,6 +863,8 @@ class PWAApp {
 
   async handleUpdatePrompt() {
     try {
+      // Other tabs save their state and reload with this one
+      tabCoordinator.broadcast(TAB_EVENTS.UPDATE_ACCEPTED);
       await this.serviceWorkerManager.updateApp();
       this.hideUpdatePrompt();
     } catch (error) {
@@ -490,6 +872,73 @@ class PWAApp {
     }
   }
 
+  // What's New - shown once per build, listing changes since the last seen build
+  async checkWhatsNew() {
+    try {
+      const seenVersion = this.storageManager.getItem(SEEN_VERSION_KEY);
+      if (seenVersion === BUILD_ID) return;
+      
+      // First visit - nothing to compare against
+      if (!seenVersion) {
+        this.storageManager.setItem(SEEN_VERSION_KEY, BUILD_ID);
+        return;
+      }
+      
+      const buildInfo = await fetchDeployedBuildInfo();
+      if (!buildInfo) return; // Offline - try again next launch
+      
+      const entries = getChangelogBetween(buildInfo.changelog, seenVersion, BUILD_ID);
+      this.storageManager.setItem(SEEN_VERSION_KEY, BUILD_ID);
+      
+      if (entries.length > 0) {
+        this.showWhatsNew(entries);
+      }
+    } catch (error) {
+      logger.error('Failed to check for release notes:', error);
+    }
+  }
+
+  showWhatsNew(entries) {
+    const dialog = document.getElementById('whats-new');
+    const changelog = document.getElementById('whats-new-changelog');
+    if (dialog && changelog) {
+      renderChangelog(changelog, entries);
+      dialog.style.display = 'block';
+      document.getElementById('dismiss-whats-new')?.focus();
+    }
+  }
+
+  hideWhatsNew() {
+    const dialog = document.getElementById('whats-new');
+    if (dialog) {
+      dialog.style.display = 'none';
+    }
+  }
+
+  // Session state carried across an update reload (page and scroll position)
+  saveUpdateState() {
+    sessionStorage.setItem(UPDATE_STATE_KEY, JSON.stringify({
+      page: this.currentPage,
+      scrollY: window.scrollY
+    }));
+  }
+
+  restoreUpdateState() {
+    const saved = sessionStorage.getItem(UPDATE_STATE_KEY);
+    if (!saved) return;
+    
+    sessionStorage.removeItem(UPDATE_STATE_KEY);
+    try {
+      const { page, scrollY } = JSON.parse(saved);
+      if (page && page !== 'main') {
+        this.showPage(page);
+      }
+      window.scrollTo(0, scrollY || 0);
+    } catch (error) {
+      logger.warn('Failed to restore state after update:', error);
+    }
+  }
+
   // Demo Functions
   async testCacheBusting() {
     logger.info('🧪', 'Testing cache busting...');
@@ -550,6 +999,33 @@ class PWAApp {
     }
   }
 
+  handleRollback(data) {
+    logger.warn(`⏪ Build ${data.failedBuild} failed to start ${data.failedBoots} times - running ${data.servingBuild}`);
+    
+    if (this.config.enableNotifications) {
+      this.notificationManager.show('Update Rolled Back', {
+        body: 'The latest version failed to start, so the previous version was restored.',
+        tag: 'rollback'
+      });
+    }
+  }
+
+  handleNetworkTimeout(data) {
+    if (data.servedFromCache) {
+      logger.info('⏱️', `Slow network - showing cached data for ${data.url}`);
+    } else {
+      logger.info('⏱️', `Slow network - still waiting for ${data.url}`);
+    }
+  }
+
+  handleQueueChange(event) {
+    if (event.type === 'request-queued') {
+      logger.info('📥', `Saved offline: ${event.data.method} ${event.data.url} will be sent when back online`);
+    } else if (event.type === 'queue-replayed') {
+      logger.info('📤', `Sent ${event.data.replayed} queued requests (${event.data.remaining} pending, ${event.data.dropped} dropped)`);
+    }
+  }
+
   handleVisibilityChange() {
     if (document.hidden) {
       // App is hidden - pause non-essential operations
@@ -570,6 +1046,9 @@ class PWAApp {
       logger.info('🌐', 'App is online');
       this.hideOfflineIndicator();
       
+      // Replay requests queued while offline (no-op where Background Sync handles it)
+      this.serviceWorkerManager.replayQueuedRequests();
+      
       // Check for updates when coming back online
       if (this.config.autoUpdateCheck) {
         this.checkForUpdates();
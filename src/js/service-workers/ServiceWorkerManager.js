@@ -4,6 +4,44 @@
  */
 
 import logger from '../utils/Logger.js';
+import { fetchDeployedBuildInfo } from '../utils/BuildInfo.js';
+import messenger, { MESSAGE_ACTIONS } from './ServiceWorkerMessenger.js';
+
+// Remote disable flag - see the kill switch in src/sw.js
+const KILL_SWITCH_URL = '/sw-kill-switch.json';
+const KILL_SWITCH_TIMEOUT = 5000; // A slow flag counts as not set
+
+// Whether the deployed flag asks for no service worker
+// Anything that registers /sw.js outside this manager must check it first
+export async function isKillSwitchEngaged() {
+  try {
+    const response = await fetch(KILL_SWITCH_URL, {
+      cache: 'no-store',
+      signal: AbortSignal.timeout(KILL_SWITCH_TIMEOUT)
+    });
+    if (!response.ok) {
+      return false;
+    }
+    const flag = await response.json();
+    return flag?.killSwitch === true;
+  } catch (error) {
+    // Offline, timed out or no flag deployed - keep the service worker
+    return false;
+  }
+}
+
+// Content refresh tag handled by the 'periodicsync' listener in src/sw.js
+export const PERIODIC_SYNC_TAG = 'content-refresh';
+
+// Update lifecycle: a new worker installs and waits ('ready') until the user
+// accepts the update ('activating'). If another tab activates it instead,
+// this page reloads at the next safe moment ('reload-pending').
+export const UPDATE_STATES = {
+  IDLE: 'idle',
+  READY: 'ready',
+  ACTIVATING: 'activating',
+  RELOAD_PENDING: 'reload-pending'
+};
 
 class ServiceWorkerManager {
   constructor() {
@@ -12,6 +50,20 @@ class ServiceWorkerManager {
     this.isInitialized = false;
     this.updateCallbacks = [];
     this.installCallbacks = [];
+    this.networkTimeoutCallbacks = [];
+    this.queueCallbacks = [];
+    this.beforeUpdateCallbacks = [];
+    this.rollbackCallbacks = [];
+    
+    this.updateState = UPDATE_STATES.IDLE;
+    this.pendingUpdate = null;
+    // A page without a controller is claimed on first install - no reload needed
+    this.hadController = !!(this.isSupported && navigator.serviceWorker.controller);
+    
+    this.config = {
+      // Reload after this long without user input when a reload is pending
+      idleReloadDelay: 2 * 60 * 1000 // 2 minutes
+    };
   }
 
   async initialize() {
@@ -46,6 +98,9 @@ class ServiceWorkerManager {
       });
       
       logger.log('✅ Service Worker registered successfully');
+      
+      // Checked after registering so the flag request never delays startup
+      this.applyKillSwitch();
       return this.registration;
     } catch (error) {
       logger.error('❌ Service Worker registration failed:', error);
@@ -63,7 +118,10 @@ class ServiceWorkerManager {
     });
 
     // Listen for messages from service worker
+    // Replies to send() are routed by the messenger; everything else is an event
+    messenger.listen();
     navigator.serviceWorker.addEventListener('message', (event) => {
+      if (messenger.isResponse(event.data)) return;
       this.handleServiceWorkerMessage(event);
     });
 
@@ -73,14 +131,80 @@ class ServiceWorkerManager {
         logger.log('🔄 Service Worker update found');
         this.handleUpdateFound();
       });
+      
+      // An update may have installed while no page was open
+      if (this.registration.waiting && navigator.serviceWorker.controller) {
+        this.handleWaitingWorker(this.registration.waiting);
+      }
     }
   }
 
   handleControllerChange() {
-    // Reload the page to use the new service worker
+    if (!this.hadController) {
+      // First install claimed this page - it is already running this build
+      this.hadController = true;
+      return;
+    }
+    
+    if (this.updateState === UPDATE_STATES.ACTIVATING) {
+      // The user accepted the update from this page (or another tab)
+      window.location.reload();
+      return;
+    }
+    
+    // Another tab activated the new build - don't pull the page out from
+    // under the user, reload once it is hidden or idle
+    this.scheduleDeferredReload();
+  }
+
+  scheduleDeferredReload() {
+    if (this.updateState === UPDATE_STATES.RELOAD_PENDING) return;
+    
+    this.updateState = UPDATE_STATES.RELOAD_PENDING;
+    logger.log('⏳ New version active - reload deferred until the page is hidden or idle');
+    this.notifyUpdateCallbacks('reload-pending', this.pendingUpdate);
+    
+    const inputEvents = ['pointerdown', 'keydown', 'scroll', 'touchstart'];
+    let idleTimer = null;
+    
+    const cleanup = () => {
+      clearTimeout(idleTimer);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      inputEvents.forEach(type => window.removeEventListener(type, resetIdleTimer));
+    };
+    const reload = () => {
+      cleanup();
+      this.reloadForUpdate();
+    };
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') reload();
+    };
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(reload, this.config.idleReloadDelay);
+    };
+    
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    inputEvents.forEach(type => window.addEventListener(type, resetIdleTimer, { passive: true }));
+    resetIdleTimer();
+  }
+
+  async reloadForUpdate() {
+    await this.runBeforeUpdateHooks();
     window.location.reload();
   }
 
+  // Give listeners a chance to persist unsaved state before the page reloads
+  async runBeforeUpdateHooks() {
+    for (const callback of this.beforeUpdateCallbacks) {
+      try {
+        await callback({ update: this.pendingUpdate });
+      } catch (error) {
+        logger.error('Error in beforeUpdate callback:', error);
+      }
+    }
+  }
+
   handleServiceWorkerMessage(event) {
     const { action, data } = event.data;
     
@@ -94,6 +218,21 @@ class ServiceWorkerManager {
       case 'INSTALL_READY':
         this.handleInstallReady(data);
         break;
+      case 'NETWORK_TIMEOUT':
+        this.handleNetworkTimeout(data);
+        break;
+      case 'REQUEST_QUEUED':
+        this.handleQueueEvent('request-queued', data);
+        break;
+      case 'QUEUE_REPLAYED':
+        this.handleQueueEvent('queue-replayed', data);
+        break;
+      case 'NOTIFICATION_CLICK':
+        // Handled by NotificationManager
+        break;
+      case 'BUILD_ROLLED_BACK':
+        this.handleRollback(data);
+        break;
       default:
         logger.log('Unknown service worker message:', action);
     }
@@ -106,9 +245,9 @@ class ServiceWorkerManager {
       newWorker.addEventListener('statechange', () => {
         if (newWorker.state === 'installed') {
           if (navigator.serviceWorker.controller) {
-            // New service worker is available
+            // New service worker is installed and waiting
             logger.log('🔄 New service worker is available');
-            this.handleUpdateAvailable();
+            this.handleWaitingWorker(newWorker);
           } else {
             // Service worker is installed for the first time
             logger.log('✅ Service worker installed for the first time');
@@ -121,22 +260,50 @@ class ServiceWorkerManager {
 
   handleCacheUpdated(data) {
     logger.log('📦 Cache updated:', data);
+    this.notifyUpdateCallbacks('cache-updated', data);
+  }
+
+  // Collect what the prompt needs about the waiting build: its version from
+  // the worker itself and release notes from the deployed build-info.json
+  async handleWaitingWorker(worker) {
+    const [version, buildInfo] = await Promise.all([
+      this.send(MESSAGE_ACTIONS.GET_VERSION, {}, { target: worker, timeout: 2000 })
+        .then(result => result.version)
+        .catch(() => null),
+      fetchDeployedBuildInfo()
+    ]);
     
-    this.updateCallbacks.forEach(callback => {
-      try {
-        callback({ type: 'cache-updated', data });
-      } catch (error) {
-        logger.error('Error in update callback:', error);
-      }
+    this.handleUpdateAvailable({
+      version: version || buildInfo?.buildId || null,
+      releaseNotes: buildInfo?.releaseNotes || null,
+      buildInfo
     });
   }
 
   handleUpdateAvailable(data) {
     logger.log('🔄 Update available:', data);
     
+    this.updateState = UPDATE_STATES.READY;
+    this.pendingUpdate = data || null;
+    this.notifyUpdateCallbacks('update-available', data);
+  }
+
+  handleRollback(data) {
+    logger.warn('⏪ Service worker rolled back to the previous build:', data);
+    
+    this.rollbackCallbacks.forEach(callback => {
+      try {
+        callback({ type: 'rolled-back', data });
+      } catch (error) {
+        logger.error('Error in rollback callback:', error);
+      }
+    });
+  }
+
+  notifyUpdateCallbacks(type, data) {
     this.updateCallbacks.forEach(callback => {
       try {
-        callback({ type: 'update-available', data });
+        callback({ type, data });
       } catch (error) {
         logger.error('Error in update callback:', error);
       }
@@ -155,6 +322,30 @@ class ServiceWorkerManager {
     });
   }
 
+  handleNetworkTimeout(data) {
+    logger.log('⏱️ Network timeout:', data);
+    
+    this.networkTimeoutCallbacks.forEach(callback => {
+      try {
+        callback({ type: 'network-timeout', data });
+      } catch (error) {
+        logger.error('Error in network timeout callback:', error);
+      }
+    });
+  }
+
+  handleQueueEvent(type, data) {
+    logger.log('📥 Offline queue:', type, data);
+    
+    this.queueCallbacks.forEach(callback => {
+      try {
+        callback({ type, data });
+      } catch (error) {
+        logger.error('Error in queue callback:', error);
+      }
+    });
+  }
+
   // Public API
   async checkForUpdates() {
     if (!this.registration) {
@@ -164,6 +355,14 @@ class ServiceWorkerManager {
 
     try {
       await this.registration.update();
+      
+      // Let the active worker check the kill switch too - it removes itself when set
+      if (navigator.serviceWorker.controller) {
+        this.send(MESSAGE_ACTIONS.CHECK_KILL_SWITCH).catch(error => {
+          logger.warn('Kill switch check failed:', error.message);
+        });
+      }
+      
       logger.log('✅ Update check completed');
       return true;
     } catch (error) {
@@ -172,6 +371,7 @@ class ServiceWorkerManager {
     }
   }
 
+  // Apply the waiting update - the page reloads once the new worker takes control
   async updateApp() {
     if (!this.registration || !this.registration.waiting) {
       logger.warn('No waiting service worker found');
@@ -179,16 +379,214 @@ class ServiceWorkerManager {
     }
 
     try {
+      await this.runBeforeUpdateHooks();
+      
       // Tell the waiting service worker to skip waiting and become active
-      this.registration.waiting.postMessage({ action: 'SKIP_WAITING' });
+      this.updateState = UPDATE_STATES.ACTIVATING;
+      await this.send(MESSAGE_ACTIONS.SKIP_WAITING, {}, { target: this.registration.waiting });
       logger.log('✅ App update initiated');
       return true;
     } catch (error) {
       logger.error('❌ App update failed:', error);
+      this.updateState = UPDATE_STATES.READY;
       return false;
     }
   }
 
+  // Another tab accepted the update - save state now and reload as soon as
+  // the new worker takes control, alongside that tab
+  async prepareForUpdate() {
+    if (this.updateState === UPDATE_STATES.ACTIVATING) return;
+
+    await this.runBeforeUpdateHooks();
+    this.updateState = UPDATE_STATES.ACTIVATING;
+  }
+
+  // Boot Health
+  // The service worker rolls back to the previous build when the running one
+  // keeps failing to boot; every successful init must be reported
+  /**
+   * Report that this page finished initializing
+   * @param {string} buildId - Build ID of the running page bundle
+   * @returns {Promise<Object|null>} Rollback status from the service worker
+   */
+  async reportHealthy(buildId) {
+    if (!navigator.serviceWorker?.controller) {
+      // Not controlled yet (first install) - nothing to confirm
+      return null;
+    }
+
+    try {
+      const status = await this.send(MESSAGE_ACTIONS.REPORT_HEALTH, { buildId });
+      if (status.rolledBack) {
+        this.handleRollback(status);
+      }
+      return status;
+    } catch (error) {
+      logger.error('Failed to report boot health:', error);
+      return null;
+    }
+  }
+
+  // A set kill switch means this app must run without a service worker
+  async applyKillSwitch() {
+    if (!await this.isKillSwitchEngaged()) return false;
+    
+    logger.warn('🛑 Service worker kill switch is set - running network-only');
+    try {
+      const registrations = await this.getRegistrations();
+      await Promise.all(registrations.map(registration => registration.unregister()));
+      this.registration = null;
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to unregister service worker:', error);
+      return false;
+    }
+  }
+
+  async isKillSwitchEngaged() {
+    return isKillSwitchEngaged();
+  }
+
+  isUpdateReady() {
+    return this.updateState === UPDATE_STATES.READY && !!this.registration?.waiting;
+  }
+
+  // Offline Request Queue
+  // Browsers with the Background Sync API replay queued requests through
+  // the 'background-sync' tag; elsewhere the page asks when it comes online
+  hasBackgroundSync() {
+    return !!(this.registration && 'sync' in this.registration);
+  }
+
+  async replayQueuedRequests() {
+    if (this.hasBackgroundSync()) {
+      return false;
+    }
+
+    const worker = navigator.serviceWorker?.controller;
+    if (!worker) {
+      logger.warn('No controlling service worker to replay queued requests');
+      return false;
+    }
+
+    try {
+      const result = await this.send(MESSAGE_ACTIONS.REPLAY_QUEUE, {}, { target: worker, timeout: 30000 });
+      logger.log('📤 Offline queue replayed:', result);
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to request queue replay:', error);
+      return false;
+    }
+  }
+
+  // Periodic Background Sync
+  // Lets the service worker refresh API content while the app is closed.
+  // Browsers only grant it to installed apps with enough engagement, so a
+  // false return means the caller should refresh on its own schedule.
+  async registerPeriodicSync({ tag = PERIODIC_SYNC_TAG, minInterval = 12 * 60 * 60 * 1000 } = {}) {
+    if (!this.registration || !('periodicSync' in this.registration)) {
+      logger.log('Periodic Background Sync not supported');
+      return false;
+    }
+
+    try {
+      const permission = await navigator.permissions.query({ name: 'periodic-background-sync' });
+      if (permission.state !== 'granted') {
+        logger.log(`Periodic Background Sync not granted (${permission.state})`);
+        return false;
+      }
+
+      await this.registration.periodicSync.register(tag, { minInterval });
+      logger.log(`✅ Periodic sync registered: ${tag}`);
+      return true;
+    } catch (error) {
+      logger.error('❌ Periodic sync registration failed:', error);
+      return false;
+    }
+  }
+
+  async unregisterPeriodicSync(tag = PERIODIC_SYNC_TAG) {
+    if (!this.registration || !('periodicSync' in this.registration)) {
+      return false;
+    }
+
+    try {
+      await this.registration.periodicSync.unregister(tag);
+      return true;
+    } catch (error) {
+      logger.error('❌ Periodic sync unregistration failed:', error);
+      return false;
+    }
+  }
+
+  async getPeriodicSyncTags() {
+    if (!this.registration || !('periodicSync' in this.registration)) {
+      return [];
+    }
+
+    try {
+      return await this.registration.periodicSync.getTags();
+    } catch (error) {
+      logger.error('❌ Failed to read periodic sync tags:', error);
+      return [];
+    }
+  }
+
+  // Same refresh the 'periodicsync' event runs, on demand
+  async refreshContent() {
+    try {
+      const result = await this.send(MESSAGE_ACTIONS.REFRESH_CONTENT, {}, { timeout: 60000 });
+      logger.log(`🔄 Content refreshed: ${result.refreshed.length} updated, ${result.failed.length} failed`);
+      return result;
+    } catch (error) {
+      logger.error('❌ Content refresh failed:', error);
+      return false;
+    }
+  }
+
+  // Offline Media
+  // Audio and video are only cached on request; the service worker then
+  // serves them (including Range requests) from its media cache
+  /**
+   * Download a media file into the service worker's media cache
+   * @param {string} url - Media URL (same-origin or CORS-enabled)
+   * @param {Object} options - Optional configuration
+   * @param {number} options.timeout - Milliseconds to wait for the download (default: 5 minutes)
+   * @returns {Promise<Object|null>} { url, size } once saved (size is null when
+   *   the server sent no Content-Length), or null on failure
+   */
+  async saveMediaForOffline(url, { timeout = 5 * 60 * 1000 } = {}) {
+    try {
+      const result = await this.send(MESSAGE_ACTIONS.SAVE_MEDIA, { url }, { timeout });
+      logger.log('🎵 Media saved for offline use:', result.url);
+      return result;
+    } catch (error) {
+      logger.error('❌ Failed to save media for offline use:', error);
+      return null;
+    }
+  }
+
+  async removeOfflineMedia(url) {
+    try {
+      const { removed } = await this.send(MESSAGE_ACTIONS.REMOVE_MEDIA, { url });
+      return removed;
+    } catch (error) {
+      logger.error('❌ Failed to remove offline media:', error);
+      return false;
+    }
+  }
+
+  async getOfflineMedia() {
+    try {
+      const { urls } = await this.send(MESSAGE_ACTIONS.LIST_MEDIA);
+      return urls;
+    } catch (error) {
+      logger.error('Failed to list offline media:', error);
+      return [];
+    }
+  }
+
   async installApp() {
     // This would typically be handled by the browser's install prompt
     // For now, we'll just log it
@@ -212,10 +610,15 @@ class ServiceWorkerManager {
     }
 
     try {
-      const cacheNames = await caches.keys();
-      await Promise.all(
-        cacheNames.map(cacheName => caches.delete(cacheName))
-      );
+      // Prefer the service worker so its cache bookkeeping stays consistent
+      if (navigator.serviceWorker?.controller) {
+        await this.send(MESSAGE_ACTIONS.CLEAR_CACHE);
+      } else {
+        const cacheNames = await caches.keys();
+        await Promise.all(
+          cacheNames.map(cacheName => caches.delete(cacheName))
+        );
+      }
       logger.log('✅ All caches cleared');
       return true;
     } catch (error) {
@@ -246,6 +649,10 @@ class ServiceWorkerManager {
     }
 
     try {
+      if (navigator.serviceWorker?.controller) {
+        return await this.send(MESSAGE_ACTIONS.GET_CACHE_STATUS);
+      }
+
       const cacheNames = await caches.keys();
       const status = {};
       
@@ -268,12 +675,64 @@ class ServiceWorkerManager {
   // Event System
   onUpdate(callback) {
     this.updateCallbacks.push(callback);
+    
+    // Late subscribers still hear about an update that is already waiting
+    if (this.updateState === UPDATE_STATES.READY) {
+      try {
+        callback({ type: 'update-available', data: this.pendingUpdate });
+      } catch (error) {
+        logger.error('Error in update callback:', error);
+      }
+    }
+  }
+
+  /**
+   * Register a hook that runs before the page reloads into a new build
+   * @param {Function} callback - ({ update }) => void | Promise; awaited in order
+   */
+  onBeforeUpdate(callback) {
+    this.beforeUpdateCallbacks.push(callback);
   }
 
   onInstall(callback) {
     this.installCallbacks.push(callback);
   }
 
+  onRollback(callback) {
+    this.rollbackCallbacks.push(callback);
+  }
+
+  onNetworkTimeout(callback) {
+    this.networkTimeoutCallbacks.push(callback);
+  }
+
+  onQueueChange(callback) {
+    this.queueCallbacks.push(callback);
+  }
+
+  // Messaging
+  /**
+   * Send a request to the service worker and await its reply
+   * @param {string} action - One of MESSAGE_ACTIONS
+   * @param {Object} payload - Action-specific data
+   * @param {Object} options - { timeout, target } - see ServiceWorkerMessenger.send
+   * @returns {Promise<any>} Reply result; rejects with the service worker's error
+   */
+  send(action, payload = {}, options = {}) {
+    const target = options.target || navigator.serviceWorker?.controller || this.registration?.active;
+    return messenger.send(action, payload, { ...options, target });
+  }
+
+  async getServiceWorkerVersion() {
+    try {
+      const { version } = await this.send(MESSAGE_ACTIONS.GET_VERSION);
+      return version;
+    } catch (error) {
+      logger.error('Failed to get service worker version:', error);
+      return null;
+    }
+  }
+
   // Cache Busting
   async bustCache(strategy, resources = []) {
     if (!this.registration || !this.registration.active) {
@@ -282,12 +741,9 @@ class ServiceWorkerManager {
     }
 
     try {
-      this.registration.active.postMessage({
-        action: 'CACHE_BUST',
-        data: { strategy, resources }
-      });
-      logger.log(`✅ Cache bust initiated: ${strategy}`);
-      return true;
+      const result = await this.send(MESSAGE_ACTIONS.CACHE_BUST, { strategy, resources });
+      logger.log(`✅ Cache bust completed: ${strategy}`);
+      return result;
     } catch (error) {
       logger.error('❌ Cache bust failed:', error);
       return false;
@@ -325,7 +781,8 @@ class ServiceWorkerManager {
       hasRegistration: !!this.registration,
       hasActiveWorker: !!(this.registration && this.registration.active),
       hasWaitingWorker: !!(this.registration && this.registration.waiting),
-      hasInstallingWorker: !!(this.registration && this.registration.installing)
+      hasInstallingWorker: !!(this.registration && this.registration.installing),
+      updateState: this.updateState
     };
   }
 
@@ -376,7 +833,9 @@ class ServiceWorkerManager {
       
       // If there's a waiting worker, activate it
       if (this.registration.waiting) {
-        this.registration.waiting.postMessage({ action: 'SKIP_WAITING' });
+        await this.runBeforeUpdateHooks();
+        this.updateState = UPDATE_STATES.ACTIVATING;
+        await this.send(MESSAGE_ACTIONS.SKIP_WAITING, {}, { target: this.registration.waiting });
       }
       
       logger.log('✅ Force update completed');
@@ -0,0 +1,122 @@
+/**
+ * Service Worker Messenger - Request/response messaging with the service worker
+ *
+ * Message schema (mirrored in src/sw.js, which can't import ES modules):
+ *   Request  (page → SW): { type: 'request', id, action, payload }
+ *   Response (SW → page): { type: 'response', id, action, ok: true, result }
+ *                         { type: 'response', id, action, ok: false, error: { name, message } }
+ *   Event    (SW → page): { action, data } - unsolicited notifications
+ */
+
+import logger from '../utils/Logger.js';
+
+export const MESSAGE_TYPES = {
+  REQUEST: 'request',
+  RESPONSE: 'response'
+};
+
+export const MESSAGE_ACTIONS = {
+  SKIP_WAITING: 'SKIP_WAITING',
+  CACHE_BUST: 'CACHE_BUST',
+  CLEAR_CACHE: 'CLEAR_CACHE',
+  GET_CACHE_STATUS: 'GET_CACHE_STATUS',
+  GET_VERSION: 'GET_VERSION',
+  GET_PRECACHE_MANIFEST: 'GET_PRECACHE_MANIFEST',
+  REPORT_HEALTH: 'REPORT_HEALTH',
+  CHECK_KILL_SWITCH: 'CHECK_KILL_SWITCH',
+  CHECK_FRESHNESS: 'CHECK_FRESHNESS',
+  REPLAY_QUEUE: 'REPLAY_QUEUE',
+  SAVE_MEDIA: 'SAVE_MEDIA',
+  REMOVE_MEDIA: 'REMOVE_MEDIA',
+  LIST_MEDIA: 'LIST_MEDIA',
+  REFRESH_CONTENT: 'REFRESH_CONTENT'
+};
+
+const DEFAULT_TIMEOUT = 5000;
+
+class ServiceWorkerMessenger {
+  constructor() {
+    this.pendingRequests = new Map();
+    this.requestCounter = 0;
+    this.idPrefix = Math.random().toString(36).slice(2, 8);
+    this.isListening = false;
+  }
+
+  listen() {
+    if (this.isListening || !('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      this.handleMessage(event);
+    });
+    this.isListening = true;
+  }
+
+  isResponse(message) {
+    return !!message && message.type === MESSAGE_TYPES.RESPONSE;
+  }
+
+  handleMessage(event) {
+    const message = event.data;
+    if (!this.isResponse(message)) return;
+
+    const pending = this.pendingRequests.get(message.id);
+    if (!pending) return;
+
+    this.pendingRequests.delete(message.id);
+    clearTimeout(pending.timeoutId);
+
+    if (message.ok) {
+      pending.resolve(message.result);
+    } else {
+      const error = new Error(message.error?.message || `Service worker failed to handle ${message.action}`);
+      error.name = message.error?.name || 'ServiceWorkerError';
+      pending.reject(error);
+    }
+  }
+
+  /**
+   * Send a request to the service worker and wait for its reply
+   * @param {string} action - One of MESSAGE_ACTIONS
+   * @param {Object} payload - Action-specific data
+   * @param {Object} options - Optional configuration
+   * @param {number} options.timeout - Milliseconds to wait for a reply (default: 5000)
+   * @param {ServiceWorker} options.target - Worker to message (default: the controller)
+   * @returns {Promise<any>} Resolves with the reply result, rejects with the reply error
+   */
+  send(action, payload = {}, options = {}) {
+    const { timeout = DEFAULT_TIMEOUT } = options;
+    const target = options.target || navigator.serviceWorker?.controller;
+
+    if (!target) {
+      return Promise.reject(new Error(`No service worker available to handle ${action}`));
+    }
+
+    this.listen();
+
+    const id = `${this.idPrefix}-${++this.requestCounter}`;
+
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        const error = new Error(`Service worker did not reply to ${action} within ${timeout}ms`);
+        error.name = 'TimeoutError';
+        reject(error);
+      }, timeout);
+
+      this.pendingRequests.set(id, { resolve, reject, timeoutId });
+
+      try {
+        target.postMessage({ type: MESSAGE_TYPES.REQUEST, id, action, payload });
+        logger.log(`📨 Sent ${action} (${id})`);
+      } catch (error) {
+        clearTimeout(timeoutId);
+        this.pendingRequests.delete(id);
+        reject(error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+const messenger = new ServiceWorkerMessenger();
+export default messenger;
@@ -4,26 +4,31 @@
  */
 
 import logger from '../utils/Logger.js';
+import scheduler from '../utils/TaskScheduler.js';
+import { BUILD_ID, fetchDeployedBuildInfo } from '../utils/BuildInfo.js';
+import messenger, { MESSAGE_ACTIONS } from '../service-workers/ServiceWorkerMessenger.js';
+import { isKillSwitchEngaged } from '../service-workers/ServiceWorkerManager.js';
 
 class CacheBustingManager {
   constructor() {
+    // The former user-agent-fingerprint-busting and network-condition-simulation
+    // strategies are gone: a page can't change its User-Agent or the network,
+    // so neither had anything real to compare or invalidate
     this.strategies = {
       'service-worker-version-bump': this.serviceWorkerVersionBump.bind(this),
       'cache-signature-invalidation': this.cacheSignatureInvalidation.bind(this),
-      'user-agent-fingerprint-busting': this.userAgentFingerprintBusting.bind(this),
       'conditional-request-bypass': this.conditionalRequestBypass.bind(this),
-      'network-condition-simulation': this.networkConditionSimulation.bind(this),
       'manifest-fingerprint-update': this.manifestFingerprintUpdate.bind(this)
     };
     
     this.config = {
       versionBumpEnabled: true,
       signatureInvalidationEnabled: true,
-      fingerprintBustingEnabled: true,
       conditionalBypassEnabled: true,
-      networkSimulationEnabled: true,
       manifestUpdateEnabled: true,
-      updateCheckInterval: 30000, // 30 seconds
+      updateCheckInterval: 30000, // Minimum time between unforced checks
+      revalidationInterval: 10 * 60 * 1000, // 10 minutes - revalidates every runtime entry
+      revalidationTimeout: 30000, // Conditional requests for the whole runtime cache
       maxRetries: 3,
       retryDelay: 1000,
       debugMode: localStorage.getItem('debug') === 'true'
@@ -41,16 +46,20 @@ class CacheBustingManager {
     logger.log('🔄 Initializing Cache Busting Manager...');
     
     try {
-      // Set up periodic update checks
-      this.setupPeriodicUpdateChecks();
+      // No update polling of its own - PWAApp's sw-update-check job finds
+      // updates and runs checkForUpdates() when one is found. Registration
+      // belongs to ServiceWorkerManager, which honours the kill switch.
       
-      // Initialize service worker if available
-      if ('serviceWorker' in navigator) {
-        await this.initializeServiceWorker();
+      // Runtime-cache revalidation isn't tied to a deploy, so it runs as its own job
+      if (this.config.conditionalBypassEnabled) {
+        scheduler.schedule('cache-revalidation', () => this.conditionalRequestBypass(), {
+          interval: this.config.revalidationInterval,
+          leaderOnly: true
+        });
       }
       
-      // Set up user agent fingerprint busting
-      this.setupFingerprintBusting();
+      // Values written by the old placeholder strategies
+      this.removeLegacyKeys();
       
       this.isInitialized = true;
       logger.log('✅ Cache Busting Manager initialized successfully');
@@ -82,7 +91,9 @@ class CacheBustingManager {
   }
 
   // Strategy 1: Service Worker Version Bump (Most Effective)
-  async serviceWorkerVersionBump() {
+  // Compare the running service worker's build with the deployed build
+  // `triggerUpdate: false` when the new worker has already been found
+  async serviceWorkerVersionBump(deployedInfo, { triggerUpdate = true } = {}) {
     if (!this.config.versionBumpEnabled) {
       return { success: false, reason: 'Strategy disabled' };
     }
@@ -90,14 +101,20 @@ class CacheBustingManager {
     logger.log('🔄 Executing Service Worker Version Bump...');
     
     try {
-      const currentVersion = this.getCurrentServiceWorkerVersion();
-      const newVersion = this.incrementVersion(currentVersion);
+      const currentVersion = await this.getCurrentServiceWorkerVersion();
+      const deployed = deployedInfo || await fetchDeployedBuildInfo();
+      
+      if (!deployed || !deployed.buildId) {
+        return { success: false, reason: 'Deployed build info unavailable' };
+      }
       
-      // Update service worker version in cache
-      await this.updateServiceWorkerVersion(newVersion);
+      const newVersion = deployed.buildId;
+      if (newVersion === currentVersion) {
+        return { success: true, details: { updateAvailable: false, version: currentVersion } };
+      }
       
       // Force service worker update
-      if ('serviceWorker' in navigator) {
+      if (triggerUpdate && 'serviceWorker' in navigator) {
         const registration = await navigator.serviceWorker.getRegistration();
         if (registration) {
           try {
@@ -119,7 +136,7 @@ class CacheBustingManager {
         newVersion: newVersion
       });
       
-      return { success: true, details: { oldVersion: currentVersion, newVersion: newVersion } };
+      return { success: true, details: { updateAvailable: true, oldVersion: currentVersion, newVersion: newVersion } };
     } catch (error) {
       logger.error('Service Worker Version Bump failed:', error);
       return { success: false, error: error.message };
@@ -138,6 +155,11 @@ class CacheBustingManager {
       // Wait a bit for cleanup
       await new Promise(resolve => setTimeout(resolve, 1000));
       
+      if (await isKillSwitchEngaged()) {
+        logger.warn('🛑 Service worker kill switch is set - not re-registering');
+        return true;
+      }
+      
       // Re-register the service worker
       await navigator.serviceWorker.register('/sw.js', { scope: '/' });
       logger.log('✅ Service worker re-registered successfully');
@@ -150,7 +172,11 @@ class CacheBustingManager {
   }
 
   // Strategy 2: Cache Signature Invalidation
-  async cacheSignatureInvalidation() {
+  // Diff the running service worker's precache revisions against the deployed
+  // build. Nothing is deleted here: the running build keeps serving its own
+  // copies (offline reloads still get a shell) until the user accepts the
+  // update and the new worker's install/activate swaps the precache.
+  async cacheSignatureInvalidation(deployedInfo) {
     if (!this.config.signatureInvalidationEnabled) {
       return { success: false, reason: 'Strategy disabled' };
     }
@@ -158,50 +184,39 @@ class CacheBustingManager {
     logger.log('🔄 Executing Cache Signature Invalidation...');
     
     try {
-      const signatures = {
-        'main.js': 'abc123_modified_' + Date.now(),
-        'style.css': 'def456_modified_' + Date.now(),
-        'index.html': 'ghi789_modified_' + Date.now()
-      };
-      
-      // Apply new signatures to existing caches
-      await this.applyNewSignatures(signatures);
+      const [running, deployed] = await Promise.all([
+        this.getRunningPrecacheManifest(),
+        deployedInfo || fetchDeployedBuildInfo()
+      ]);
       
-      this.triggerUpdatePrompt('cache-signature-invalidation', {
-        signatures: signatures
-      });
+      if (!running) {
+        return { success: false, reason: 'No active service worker' };
+      }
+      if (!deployed || !Array.isArray(deployed.precache)) {
+        return { success: false, reason: 'Deployed precache manifest unavailable' };
+      }
       
-      return { success: true, details: { signatures: signatures } };
-    } catch (error) {
-      logger.error('Cache Signature Invalidation failed:', error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  // Strategy 3: User Agent Fingerprint Busting
-  async userAgentFingerprintBusting() {
-    if (!this.config.fingerprintBustingEnabled) {
-      return { success: false, reason: 'Strategy disabled' };
-    }
-
-    logger.log('🔄 Executing User Agent Fingerprint Busting...');
-    
-    try {
-      const newFingerprint = this.generateNewFingerprint();
-      await this.applyNewFingerprint(newFingerprint);
+      const { changed, added, removed } = this.diffPrecacheManifests(running.manifest, deployed.precache);
       
-      this.triggerUpdatePrompt('user-agent-fingerprint-busting', {
-        fingerprint: newFingerprint
-      });
+      if (changed.length > 0 || added.length > 0 || removed.length > 0) {
+        this.triggerUpdatePrompt('cache-signature-invalidation', {
+          changed,
+          added,
+          removed
+        });
+      }
       
-      return { success: true, details: { fingerprint: newFingerprint } };
+      return { success: true, details: { changed, added, removed } };
     } catch (error) {
-      logger.error('User Agent Fingerprint Busting failed:', error);
+      logger.error('Cache Signature Invalidation failed:', error);
       return { success: false, error: error.message };
     }
   }
 
-  // Strategy 4: Conditional Request Bypass (Most Effective Experiment)
+  // Strategy 3: Conditional Request Bypass
+  // Revalidate runtime-cached responses against the server with their
+  // ETag / Last-Modified validators and invalidate the ones that changed.
+  // Runs from the leader tab's 'cache-revalidation' job.
   async conditionalRequestBypass() {
     if (!this.config.conditionalBypassEnabled) {
       return { success: false, reason: 'Strategy disabled' };
@@ -210,45 +225,36 @@ class CacheBustingManager {
     logger.log('🔄 Executing Conditional Request Bypass...');
     
     try {
-      const bypassStrategies = this.generateBypassStrategies();
-      await this.applyBypassStrategies(bypassStrategies);
+      if (!navigator.serviceWorker?.controller) {
+        return { success: false, reason: 'No active service worker' };
+      }
       
-      this.triggerUpdatePrompt('conditional-request-bypass', {
-        strategies: bypassStrategies
-      });
+      const { checked, skipped, stale } = await messenger.send(
+        MESSAGE_ACTIONS.CHECK_FRESHNESS,
+        {},
+        { timeout: this.config.revalidationTimeout }
+      );
       
-      return { success: true, details: { strategies: bypassStrategies } };
-    } catch (error) {
-      logger.error('Conditional Request Bypass failed:', error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  // Strategy 5: Network Condition Simulation
-  async networkConditionSimulation() {
-    if (!this.config.networkSimulationEnabled) {
-      return { success: false, reason: 'Strategy disabled' };
-    }
-
-    logger.log('🔄 Executing Network Condition Simulation...');
-    
-    try {
-      const conditions = this.simulateNetworkConditions();
-      await this.applyNetworkConditions(conditions);
+      const invalidated = await this.invalidateResources('selective-clear', stale);
       
-      this.triggerUpdatePrompt('network-condition-simulation', {
-        conditions: conditions
-      });
+      if (invalidated.length > 0) {
+        this.triggerUpdatePrompt('conditional-request-bypass', {
+          changed: stale,
+          invalidated
+        });
+      }
       
-      return { success: true, details: { conditions: conditions } };
+      return { success: true, details: { checked, skipped, changed: stale, invalidated } };
     } catch (error) {
-      logger.error('Network Condition Simulation failed:', error);
+      logger.error('Conditional Request Bypass failed:', error);
       return { success: false, error: error.message };
     }
   }
 
-  // Strategy 6: Manifest Fingerprint Update
-  async manifestFingerprintUpdate() {
+  // Strategy 4: Manifest Fingerprint Update
+  // Hash the cached web app manifest and compare it with the deployed revision
+  // (reported only - the precached copy is replaced with the new build)
+  async manifestFingerprintUpdate(deployedInfo) {
     if (!this.config.manifestUpdateEnabled) {
       return { success: false, reason: 'Strategy disabled' };
     }
@@ -256,20 +262,71 @@ class CacheBustingManager {
     logger.log('🔄 Executing Manifest Fingerprint Update...');
     
     try {
-      const newFingerprint = this.generateManifestFingerprint();
-      await this.updateManifestFingerprint(newFingerprint);
+      const deployed = deployedInfo || await fetchDeployedBuildInfo();
+      const manifestUrl = this.getManifestUrl();
+      const deployedEntry = deployed?.precache?.find(entry => entry.url === manifestUrl);
+      
+      if (!deployedEntry) {
+        return { success: false, reason: 'Deployed manifest revision unavailable' };
+      }
+      
+      const runningFingerprint = await this.getCachedFingerprint(manifestUrl);
+      if (!runningFingerprint) {
+        return { success: false, reason: 'Manifest is not cached' };
+      }
+      
+      if (runningFingerprint === deployedEntry.revision) {
+        return { success: true, details: { changed: [], fingerprint: runningFingerprint } };
+      }
       
       this.triggerUpdatePrompt('manifest-fingerprint-update', {
-        fingerprint: newFingerprint
+        changed: [manifestUrl],
+        oldFingerprint: runningFingerprint,
+        newFingerprint: deployedEntry.revision
       });
       
-      return { success: true, details: { fingerprint: newFingerprint } };
+      return {
+        success: true,
+        details: {
+          changed: [manifestUrl],
+          oldFingerprint: runningFingerprint,
+          newFingerprint: deployedEntry.revision
+        }
+      };
     } catch (error) {
       logger.error('Manifest Fingerprint Update failed:', error);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Update-detection pipeline: fetch the deployed build info once, then
+   * check the service worker version and report the precached resources
+   * that changed. Runtime cache revalidation is left to explicit calls
+   * because it sends a request per cached response.
+   * @param {Object} options - Detection options
+   * @param {boolean} options.triggerUpdate - Call registration.update() when
+   *   the deployed build differs (false when it was found that way already)
+   * @returns {Promise<Object>} Per-strategy results keyed by strategy name
+   */
+  async detectUpdates({ triggerUpdate = true } = {}) {
+    const deployedInfo = await fetchDeployedBuildInfo();
+    if (!deployedInfo) {
+      return { success: false, reason: 'Deployed build info unavailable' };
+    }
+    
+    const results = {
+      'service-worker-version-bump': await this.serviceWorkerVersionBump(deployedInfo, { triggerUpdate })
+    };
+    
+    if (results['service-worker-version-bump'].details?.updateAvailable) {
+      results['cache-signature-invalidation'] = await this.cacheSignatureInvalidation(deployedInfo);
+      results['manifest-fingerprint-update'] = await this.manifestFingerprintUpdate(deployedInfo);
+    }
+    
+    return { success: true, results };
+  }
+
   // Test All Strategies
   async testAllStrategies() {
     logger.log('🧪 Testing all cache busting strategies...');
@@ -304,144 +361,109 @@ class CacheBustingManager {
 
   // Helper Methods
   getCurrentVersion() {
-    return '1.0.0'; // This should be dynamically determined
+    // Build ID stamped into this bundle at build time
+    return BUILD_ID;
   }
 
-  getCurrentServiceWorkerVersion() {
-    // This should read from service worker or cache
-    return '1.0.0';
-  }
-
-  incrementVersion(version) {
-    const parts = version.split('.');
-    const patch = parseInt(parts[2]) + 1;
-    return `${parts[0]}.${parts[1]}.${patch}`;
-  }
+  async getCurrentServiceWorkerVersion() {
+    // Ask the controlling service worker which build it was stamped with
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) {
+      return this.currentVersion;
+    }
 
-  async updateServiceWorkerVersion(newVersion) {
-    // Update service worker version in cache
-    if ('caches' in window) {
-      const cache = await caches.open('sw-version-cache');
-      await cache.put('/sw-version', new Response(newVersion));
+    try {
+      const { version } = await messenger.send(MESSAGE_ACTIONS.GET_VERSION, {}, { timeout: 2000 });
+      return version || this.currentVersion;
+    } catch (error) {
+      logger.warn('Failed to read service worker version:', error.message);
+      return this.currentVersion;
     }
   }
 
-  async applyNewSignatures(signatures) {
-    // Apply new signatures to cache
-    if ('caches' in window) {
-      const cache = await caches.open('signature-cache');
-      for (const [resource, signature] of Object.entries(signatures)) {
-        await cache.put(`/signature-${resource}`, new Response(signature));
-      }
+  async getRunningPrecacheManifest() {
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) {
+      return null;
     }
-  }
 
-  generateNewFingerprint() {
-    return `ua_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return messenger.send(MESSAGE_ACTIONS.GET_PRECACHE_MANIFEST, {}, { timeout: 2000 });
   }
 
-  async applyNewFingerprint(fingerprint) {
-    // Store new fingerprint
-    localStorage.setItem('user-agent-fingerprint', fingerprint);
+  /**
+   * Compare two precache manifests by URL and revision
+   * @param {Array<{url: string, revision: string}>} running - Manifest of the running service worker
+   * @param {Array<{url: string, revision: string}>} deployed - Manifest from the deployed build-info.json
+   * @returns {{changed: string[], added: string[], removed: string[]}} URLs in each category
+   */
+  diffPrecacheManifests(running = [], deployed = []) {
+    const runningRevisions = new Map(running.map(entry => [entry.url, entry.revision]));
+    const deployedUrls = new Set(deployed.map(entry => entry.url));
     
-    // Update user agent if possible (limited by browser security)
-    if (this.config.debugMode) {
-      logger.log('New fingerprint applied:', fingerprint);
-    }
-  }
-
-  generateBypassStrategies() {
-    return {
-      cacheBustingParam: `t=${Date.now()}`,
-      freshHeaders: {
-        'Cache-Control': 'no-cache',
-        'X-Fresh-Request': 'true',
-        'X-Timestamp': Date.now().toString()
-      }
-    };
+    const changed = deployed
+      .filter(entry => runningRevisions.has(entry.url) && runningRevisions.get(entry.url) !== entry.revision)
+      .map(entry => entry.url);
+    const added = deployed
+      .filter(entry => !runningRevisions.has(entry.url))
+      .map(entry => entry.url);
+    const removed = running
+      .filter(entry => !deployedUrls.has(entry.url))
+      .map(entry => entry.url);
+    
+    return { changed, added, removed };
   }
 
-  async applyBypassStrategies(strategies) {
-    // Apply bypass strategies
-    localStorage.setItem('bypass-strategies', JSON.stringify(strategies));
-    
-    if (this.config.debugMode) {
-      logger.log('Bypass strategies applied:', strategies);
+  async invalidateResources(strategy, resources) {
+    if (resources.length === 0) {
+      return [];
     }
-  }
 
-  simulateNetworkConditions() {
-    return {
-      slowConnection: true,
-      offlineSimulation: false,
-      highLatency: true,
-      lowBandwidth: false
-    };
+    const { invalidated } = await messenger.send(MESSAGE_ACTIONS.CACHE_BUST, { strategy, resources });
+    logger.log(`🗑️ Invalidated ${invalidated.length} cached resources (${strategy})`);
+    return invalidated;
   }
 
-  async applyNetworkConditions(conditions) {
-    // Apply network condition simulation
-    localStorage.setItem('network-conditions', JSON.stringify(conditions));
-    
-    if (this.config.debugMode) {
-      logger.log('Network conditions applied:', conditions);
-    }
+  getManifestUrl() {
+    const link = document.querySelector('link[rel="manifest"]');
+    return link ? new URL(link.href).pathname : '/manifest.json';
   }
 
-  generateManifestFingerprint() {
-    return `manifest_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  }
+  // Same fingerprint as the build's precache revisions: sha256, first 16 hex chars
+  async getCachedFingerprint(url) {
+    if (!('caches' in window)) {
+      return null;
+    }
 
-  async updateManifestFingerprint(fingerprint) {
-    // Update manifest fingerprint
-    localStorage.setItem('manifest-fingerprint', fingerprint);
-    
-    if (this.config.debugMode) {
-      logger.log('Manifest fingerprint updated:', fingerprint);
+    const response = await caches.match(url);
+    if (!response) {
+      return null;
     }
+
+    const digest = await crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0'))
+      .join('')
+      .slice(0, 16);
   }
 
-  setupPeriodicUpdateChecks() {
-    setInterval(() => {
-      this.checkForUpdates();
-    }, this.config.updateCheckInterval);
+  removeLegacyKeys() {
+    ['user-agent-fingerprint', 'bypass-strategies', 'network-conditions', 'manifest-fingerprint']
+      .forEach(key => localStorage.removeItem(key));
   }
 
-  async checkForUpdates() {
+  async checkForUpdates({ force = false, triggerUpdate = true } = {}) {
     const now = Date.now();
-    if (now - this.lastUpdateCheck < this.config.updateCheckInterval) {
-      return; // Too soon for another check
+    if (!force && now - this.lastUpdateCheck < this.config.updateCheckInterval) {
+      return { success: true, skipped: true }; // Too soon for another check
     }
     
     this.lastUpdateCheck = now;
     
     try {
-      // Run a subset of strategies for periodic checks
-      await this.serviceWorkerVersionBump();
-      await this.conditionalRequestBypass();
+      return await this.detectUpdates({ triggerUpdate });
     } catch (error) {
-      logger.error('Periodic update check failed:', error);
-    }
-  }
-
-  async initializeServiceWorker() {
-    // Initialize service worker for cache busting
-    if ('serviceWorker' in navigator) {
-      try {
-        const registration = await navigator.serviceWorker.register('/sw.js');
-        logger.log('Service worker registered for cache busting');
-      } catch (error) {
-        logger.error('Service worker registration failed:', error);
-      }
+      logger.error('Update check failed:', error);
+      return { success: false, error: error.message };
     }
   }
 
-  setupFingerprintBusting() {
-    // Set up user agent fingerprint busting
-    const fingerprint = this.generateNewFingerprint();
-    this.applyNewFingerprint(fingerprint);
-  }
-
   // Configuration Methods
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
@@ -0,0 +1,189 @@
+/**
+ * Backup - Versioned, checksummed backup files for StorageManager
+ *
+ * A backup file holds a header and the backed-up records:
+ *   { format, formatVersion, appVersion, exportDate, checksum, encrypted,
+ *     encryption?, records }
+ * `records` maps storage keys to values, or - when exported with a
+ * passphrase - is the AES-GCM ciphertext of that map (see CryptoHelper.js).
+ * The checksum is the SHA-256 of the serialized `records`, so truncated or
+ * hand-edited files are caught before anything is imported.
+ *
+ * `appVersion` is the build that wrote the records; StorageManager runs
+ * older backups through the migration chain before importing them.
+ */
+
+import {
+  toBase64,
+  fromBase64,
+  randomBytes,
+  deriveKey,
+  encryptText,
+  decryptText,
+  sha256
+} from './CryptoHelper.js';
+import { diffRecords } from './StorageMigrations.js';
+
+export const BACKUP_FORMAT = 'pwa-template-backup';
+export const BACKUP_FORMAT_VERSION = 2;
+
+export const IMPORT_MODES = {
+  REPLACE: 'replace', // Backup values overwrite this device's
+  MERGE: 'merge', // Per data entry, the newer timestamp wins
+  PREVIEW: 'preview' // Report what replace and merge would change
+};
+
+// Format 1 was the plain { settings, data, version, exportDate } export,
+// written before backups had a header
+const LEGACY_KEYS = {
+  settings: 'pwa_template_settings',
+  data: 'pwa_template_data'
+};
+
+const BACKUP_ITERATIONS = 600000;
+
+// The header is bound into the ciphertext so it can't be swapped either
+function additionalDataFor(backup) {
+  return `${BACKUP_FORMAT}:${backup.formatVersion}:${backup.appVersion}:${backup.exportDate}`;
+}
+
+/**
+ * Build a backup file's contents
+ * @param {Map} records - Records to back up, by storage key
+ * @param {Object} options - Backup options
+ * @param {string} options.appVersion - Build that wrote the records
+ * @param {string} options.passphrase - Encrypt with this passphrase (optional)
+ * @returns {Promise<Object>} JSON-serializable backup
+ */
+export async function createBackup(records, { appVersion, passphrase = '', iterations = BACKUP_ITERATIONS } = {}) {
+  const backup = {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    appVersion,
+    exportDate: new Date().toISOString(),
+    encrypted: !!passphrase
+  };
+  let contents = Object.fromEntries(records);
+
+  if (passphrase) {
+    const salt = randomBytes(16);
+    const key = await deriveKey(passphrase, salt, iterations);
+    const { iv, data } = await encryptText(key, JSON.stringify(contents), additionalDataFor(backup));
+
+    backup.encryption = {
+      algorithm: 'AES-GCM',
+      kdf: 'PBKDF2-SHA-256',
+      salt: toBase64(salt),
+      iterations,
+      iv
+    };
+    contents = data;
+  }
+
+  backup.checksum = await sha256(JSON.stringify(contents));
+  backup.records = contents;
+  return backup;
+}
+
+/**
+ * Check a parsed backup file and recover its records
+ * Throws with a message fit for the user when the file can't be used.
+ * @param {Object} backup - Parsed backup file
+ * @param {Object} options - Read options
+ * @param {string} options.passphrase - Needed for encrypted backups
+ * @returns {Promise<{info: Object, records: Map}>} info is { formatVersion,
+ *   appVersion, exportDate, encrypted }
+ */
+export async function readBackup(backup, { passphrase = '' } = {}) {
+  if (!backup || typeof backup !== 'object') {
+    throw new Error('Invalid backup file format');
+  }
+
+  if (backup.format === undefined && backup.version && backup.settings) {
+    return readLegacyBackup(backup);
+  }
+
+  if (backup.format !== BACKUP_FORMAT || backup.records === undefined) {
+    throw new Error('Invalid backup file format');
+  }
+  if (backup.formatVersion > BACKUP_FORMAT_VERSION) {
+    throw new Error(`Backup format ${backup.formatVersion} is newer than this app supports - update the app first`);
+  }
+  if (backup.checksum !== await sha256(JSON.stringify(backup.records))) {
+    throw new Error('Backup checksum does not match - the file is damaged or was edited');
+  }
+
+  let contents = backup.records;
+  if (backup.encrypted) {
+    if (!passphrase) {
+      throw new Error('This backup is encrypted - enter its passphrase');
+    }
+
+    const { salt, iterations, iv } = backup.encryption;
+    const key = await deriveKey(passphrase, fromBase64(salt), iterations);
+    try {
+      contents = JSON.parse(await decryptText(key, { iv, data: contents }, additionalDataFor(backup)));
+    } catch (error) {
+      throw new Error('Wrong passphrase for this backup');
+    }
+  }
+
+  return {
+    info: {
+      formatVersion: backup.formatVersion,
+      appVersion: backup.appVersion,
+      exportDate: backup.exportDate,
+      encrypted: !!backup.encrypted
+    },
+    records: new Map(Object.entries(contents))
+  };
+}
+
+function readLegacyBackup(backup) {
+  const records = new Map([[LEGACY_KEYS.settings, backup.settings]]);
+  if (backup.data) {
+    records.set(LEGACY_KEYS.data, backup.data);
+  }
+
+  return {
+    info: {
+      formatVersion: 1,
+      appVersion: backup.version,
+      exportDate: backup.exportDate || null,
+      encrypted: false
+    },
+    records
+  };
+}
+
+/**
+ * Merge data collections entry by entry
+ * Entries only on one side are kept; on both, the newer `timestamp` wins
+ * and this device's copy wins a tie or when neither has one.
+ */
+export function mergeData(current, incoming) {
+  const merged = { ...current };
+
+  Object.entries(incoming).forEach(([id, entry]) => {
+    const existing = current[id];
+    if (!existing || (entry.timestamp || 0) > (existing.timestamp || 0)) {
+      merged[id] = entry;
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * What importing would change, as paths like `settings.theme` or `data.<id>`
+ * @param {{settings: Object, data: Object}} before - Current sections
+ * @param {{settings: Object, data: Object}} after - Sections after import
+ * @returns {{added: string[], changed: string[], removed: string[]}}
+ */
+export function diffSections(before, after) {
+  const flatten = sections => new Map(Object.entries(sections).flatMap(([section, values]) =>
+    Object.entries(values || {}).map(([key, value]) => [`${section}.${key}`, value])
+  ));
+
+  return diffRecords(flatten(before), flatten(after));
+}
@@ -0,0 +1,28 @@
+/**
+ * Build Info - Build identifier stamped into the bundle at build time
+ * Shared with the service worker (CACHE_VERSION) and /build-info.json
+ * so update detection compares real builds instead of hard-coded versions
+ */
+
+/* global __BUILD_ID__ */
+export const BUILD_ID = typeof __BUILD_ID__ !== 'undefined' ? __BUILD_ID__ : 'development';
+
+/**
+ * Fetch the build info of the currently deployed build
+ * Bypasses the HTTP cache and the service worker cache so the result
+ * reflects what the server would install next
+ * @returns {Promise<Object|null>} Parsed build-info.json or null if unavailable
+ */
+export async function fetchDeployedBuildInfo() {
+  try {
+    const response = await fetch('/build-info.json', { cache: 'no-store' });
+    if (!response.ok) {
+      return null;
+    }
+    return await response.json();
+  } catch (error) {
+    return null;
+  }
+}
+
+export default BUILD_ID;
@@ -0,0 +1,57 @@
+/**
+ * Changelog - Select the build-info.json changelog entries between two builds
+ * Entries are written at build time by scripts/build-info.js, newest first:
+ *   { version, date, changes: [string] }
+ */
+
+import { compareVersions } from './Version.js';
+
+/**
+ * Changelog entries newer than `fromBuild` up to and including `toBuild`
+ * Builds of the same release (no version bump) get that release's entry,
+ * so every new build still has something to show.
+ * @param {Array} changelog - Entries from build-info.json
+ * @param {string} fromBuild - Running (or last seen) build ID
+ * @param {string} toBuild - Waiting (or newly running) build ID
+ * @returns {Array<{version: string, date: string|null, changes: string[]}>} Newest first
+ */
+export function getChangelogBetween(changelog, fromBuild, toBuild) {
+  if (!Array.isArray(changelog) || !toBuild || fromBuild === toBuild) {
+    return [];
+  }
+
+  const entries = changelog.filter(entry =>
+    compareVersions(entry.version, toBuild) <= 0 &&
+    (!fromBuild || compareVersions(entry.version, fromBuild) > 0)
+  );
+
+  if (entries.length > 0) {
+    return entries;
+  }
+
+  return changelog.filter(entry => compareVersions(entry.version, toBuild) === 0);
+}
+
+/**
+ * Render changelog entries into a container as version headings + lists
+ * Uses textContent only - entries come from commit messages
+ * @param {HTMLElement} container - Element to fill (cleared first)
+ * @param {Array} entries - Entries from getChangelogBetween()
+ */
+export function renderChangelog(container, entries) {
+  container.replaceChildren();
+
+  entries.forEach(entry => {
+    const heading = document.createElement('h4');
+    heading.textContent = entry.date ? `${entry.version} (${entry.date})` : entry.version;
+
+    const list = document.createElement('ul');
+    entry.changes.forEach(change => {
+      const item = document.createElement('li');
+      item.textContent = change;
+      list.appendChild(item);
+    });
+
+    container.append(heading, list);
+  });
+}
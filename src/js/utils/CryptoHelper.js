@@ -0,0 +1,82 @@
+/**
+ * Crypto Helper - Web Crypto building blocks shared by EncryptedStore and Backup
+ *
+ * Keys come from a passphrase via PBKDF2-SHA-256 and encrypt with AES-GCM
+ * (256-bit). `additionalData` is authenticated but not encrypted - bind the
+ * ciphertext to where it belongs so it can't be moved elsewhere.
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export function isCryptoSupported() {
+  return !!(globalThis.crypto && crypto.subtle);
+}
+
+export function toBase64(buffer) {
+  let binary = '';
+  new Uint8Array(buffer).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+export function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Derive a non-extractable AES-GCM key from a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {Uint8Array} salt - Random salt stored next to the ciphertext
+ * @param {number} iterations - PBKDF2 rounds
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Returns { iv, data } as base64
+export async function encryptText(key, plaintext, additionalData) {
+  const iv = randomBytes(12);
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encoder.encode(additionalData) },
+    key,
+    encoder.encode(plaintext)
+  );
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+// Rejects (OperationError) for the wrong key, additional data or a tampered record
+export async function decryptText(key, { iv, data }, additionalData) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv), additionalData: encoder.encode(additionalData) },
+    key,
+    fromBase64(data)
+  );
+  return decoder.decode(plaintext);
+}
+
+// Hex SHA-256 of a string
+export async function sha256(text) {
+  const digest = await crypto.subtle.digest('SHA-256', encoder.encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
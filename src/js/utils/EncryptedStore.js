@@ -0,0 +1,237 @@
+/**
+ * Encrypted Store - Opt-in passphrase-protected namespace in StorageManager
+ *
+ * Values are encrypted with AES-GCM (256-bit) under a key derived from the
+ * user's passphrase with PBKDF2-SHA-256, and each record's key name is bound
+ * in as additional data so records can't be swapped. Only ciphertext is
+ * stored; the derived key lives in memory while unlocked and is dropped on
+ * lock(), after autoLockDelay without use, or on logout.
+ *
+ * Stored records:
+ *   <prefix>meta         { version, salt, iterations, check: { iv, data } }
+ *   <prefix>item:<key>   { iv, data }  (base64)
+ */
+
+import logger from './Logger.js';
+import { isCryptoSupported, toBase64, fromBase64, randomBytes, deriveKey, encryptText, decryptText } from './CryptoHelper.js';
+
+const FORMAT_VERSION = 1;
+// Decrypting this proves the passphrase without storing anything derived from it
+const CHECK_VALUE = 'pwa-template-encrypted-store';
+
+class EncryptedStore {
+  constructor(storageManager, options = {}) {
+    this.storageManager = storageManager;
+    this.prefix = options.prefix || 'pwa_template_secure:';
+    this.metaKey = `${this.prefix}meta`;
+    this.itemPrefix = `${this.prefix}item:`;
+
+    this.config = {
+      iterations: 600000, // PBKDF2 rounds for new passphrases
+      autoLockDelay: 5 * 60 * 1000, // Lock after 5 minutes without use
+      ...options.config
+    };
+
+    this.key = null;
+    this.autoLockTimer = null;
+    this.changeCallbacks = [];
+  }
+
+  static isSupported() {
+    return isCryptoSupported();
+  }
+
+  // Setup
+  isSetUp() {
+    return !!this.storageManager.getItem(this.metaKey);
+  }
+
+  async setup(passphrase) {
+    if (this.isSetUp()) {
+      throw new Error('Encrypted storage is already set up - use changePassphrase()');
+    }
+
+    const meta = await this.createMeta(passphrase);
+    this.storageManager.setItem(this.metaKey, meta.record);
+    await this.storageManager.flush();
+
+    this.setKey(meta.key);
+    logger.log('🔐 Encrypted storage set up');
+    return true;
+  }
+
+  async createMeta(passphrase) {
+    const salt = randomBytes(16);
+    const iterations = this.config.iterations;
+    const key = await deriveKey(passphrase, salt, iterations);
+
+    return {
+      key,
+      record: {
+        version: FORMAT_VERSION,
+        salt: toBase64(salt),
+        iterations,
+        check: await encryptText(key, CHECK_VALUE, this.metaKey)
+      }
+    };
+  }
+
+  // Locking
+  async unlock(passphrase) {
+    const key = await this.verifyPassphrase(passphrase);
+    if (!key) {
+      logger.warn('🔐 Wrong passphrase for encrypted storage');
+      return false;
+    }
+
+    this.setKey(key);
+    logger.log('🔓 Encrypted storage unlocked');
+    return true;
+  }
+
+  lock() {
+    clearTimeout(this.autoLockTimer);
+    this.autoLockTimer = null;
+    if (!this.key) return;
+
+    this.key = null;
+    logger.log('🔒 Encrypted storage locked');
+    this.notifyChange('locked');
+  }
+
+  isLocked() {
+    return !this.key;
+  }
+
+  // Events: 'locked', 'unlocked', 'passphrase-changed', 'reset'
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  notifyChange(type) {
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback({ type, locked: this.isLocked() });
+      } catch (error) {
+        logger.error('Error in encrypted store callback:', error);
+      }
+    });
+  }
+
+  setKey(key) {
+    const wasLocked = this.isLocked();
+    this.key = key;
+    this.touch();
+    if (wasLocked) {
+      this.notifyChange('unlocked');
+    }
+  }
+
+  // Every use pushes the auto-lock back
+  touch() {
+    clearTimeout(this.autoLockTimer);
+    if (this.config.autoLockDelay > 0) {
+      this.autoLockTimer = setTimeout(() => this.lock(), this.config.autoLockDelay);
+    }
+  }
+
+  requireKey() {
+    if (!this.key) {
+      throw new Error('Encrypted storage is locked');
+    }
+    this.touch();
+    return this.key;
+  }
+
+  // Records
+  async get(key, defaultValue = null) {
+    const cryptoKey = this.requireKey();
+    const record = this.storageManager.getItem(this.itemPrefix + key);
+    if (!record) return defaultValue;
+
+    return JSON.parse(await decryptText(cryptoKey, record, this.itemPrefix + key));
+  }
+
+  async set(key, value) {
+    const cryptoKey = this.requireKey();
+    const record = await encryptText(cryptoKey, JSON.stringify(value), this.itemPrefix + key);
+    return this.storageManager.setItem(this.itemPrefix + key, record);
+  }
+
+  remove(key) {
+    this.requireKey();
+    return this.storageManager.removeItem(this.itemPrefix + key);
+  }
+
+  // Key names aren't secret - listing works while locked
+  keys() {
+    return this.storageManager.getAllKeys()
+      .filter(key => key.startsWith(this.itemPrefix))
+      .map(key => key.slice(this.itemPrefix.length));
+  }
+
+  /**
+   * Change the passphrase, re-encrypting every record under the new key
+   * All records and the new salt are written in one transaction, so an
+   * interrupted rotation leaves the old passphrase working.
+   * @param {string} currentPassphrase - Passphrase in use now
+   * @param {string} newPassphrase - Replacement passphrase
+   * @returns {Promise<boolean>} False when currentPassphrase is wrong or the write fails
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    const oldKey = await this.verifyPassphrase(currentPassphrase);
+    if (!oldKey) {
+      logger.warn('🔐 Wrong passphrase - not rotating');
+      return false;
+    }
+
+    const meta = await this.createMeta(newPassphrase);
+    const entries = [[this.metaKey, meta.record]];
+
+    for (const name of this.keys()) {
+      const storageKey = this.itemPrefix + name;
+      const plaintext = await decryptText(oldKey, this.storageManager.getItem(storageKey), storageKey);
+      entries.push([storageKey, await encryptText(meta.key, plaintext, storageKey)]);
+    }
+
+    if (!await this.storageManager.setItems(entries)) {
+      return false;
+    }
+
+    this.setKey(meta.key);
+    logger.log(`🔐 Passphrase changed, ${entries.length - 1} records re-encrypted`);
+    this.notifyChange('passphrase-changed');
+    return true;
+  }
+
+  // Forgotten passphrase - the data can't be recovered, only removed
+  async reset() {
+    this.lock();
+    this.storageManager.getAllKeys()
+      .filter(key => key.startsWith(this.prefix))
+      .forEach(key => this.storageManager.removeItem(key));
+    await this.storageManager.flush();
+    logger.log('🔐 Encrypted storage reset');
+    this.notifyChange('reset');
+  }
+
+  // Passphrase
+  // Derived key when the passphrase decrypts the check value, otherwise null
+  async verifyPassphrase(passphrase) {
+    const meta = this.storageManager.getItem(this.metaKey);
+    if (!meta) {
+      throw new Error('Encrypted storage is not set up');
+    }
+
+    const key = await deriveKey(passphrase, fromBase64(meta.salt), meta.iterations);
+    try {
+      const check = await decryptText(key, meta.check, this.metaKey);
+      return check === CHECK_VALUE ? key : null;
+    } catch (error) {
+      return null; // AES-GCM authentication failed - wrong key
+    }
+  }
+}
+
+// Export as ES module
+export default EncryptedStore;
@@ -11,6 +11,11 @@ class NotificationManager {
     this.isSupported = 'Notification' in window;
     this.isInitialized = false;
     this.notificationCallbacks = [];
+    
+    this.config = {
+      // Endpoint that receives push subscriptions (POST) and removals (DELETE)
+      pushEndpoint: '/api/push/subscriptions'
+    };
   }
 
   async initialize() {
@@ -34,6 +39,16 @@ class NotificationManager {
   }
 
   setupEventListeners() {
+    // Clicks on notifications shown by the service worker are forwarded here
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.action === 'NOTIFICATION_CLICK') {
+          const { action, data, tag } = event.data.data || {};
+          this.handleServiceWorkerNotificationClick(action, data, tag);
+        }
+      });
+    }
+
     // Listen for permission changes
     if ('permissions' in navigator) {
       navigator.permissions.query({ name: 'notifications' }).then(result => {
@@ -202,6 +217,147 @@ class NotificationManager {
     });
   }
 
+  // Push Subscriptions
+  isPushSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window;
+  }
+
+  /**
+   * Subscribe to push messages and register the subscription with the server
+   * @param {string} vapidPublicKey - Application server public key (base64url)
+   * @returns {Promise<PushSubscription|null>} The subscription, or null on failure
+   */
+  async subscribeToPush(vapidPublicKey) {
+    if (!this.isPushSupported()) {
+      logger.warn('Push messaging not supported in this browser');
+      return null;
+    }
+
+    if (!vapidPublicKey) {
+      logger.warn('A VAPID public key is required to subscribe to push');
+      return null;
+    }
+
+    const granted = await this.requestPermission();
+    if (!granted) {
+      return null;
+    }
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      const applicationServerKey = this.urlBase64ToUint8Array(vapidPublicKey);
+      let subscription = await registration.pushManager.getSubscription();
+
+      // A subscription made with a different key can't be reused
+      if (subscription && !this.hasApplicationServerKey(subscription, applicationServerKey)) {
+        await subscription.unsubscribe();
+        subscription = null;
+      }
+
+      if (!subscription) {
+        subscription = await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey
+        });
+      }
+
+      await this.sendSubscriptionToServer('POST', subscription);
+      logger.log('✅ Subscribed to push messages');
+      this.notifySubscriptionChange(subscription);
+      return subscription;
+    } catch (error) {
+      logger.error('Failed to subscribe to push messages:', error);
+      return null;
+    }
+  }
+
+  async unsubscribe() {
+    if (!this.isPushSupported()) {
+      return false;
+    }
+
+    try {
+      const subscription = await this.getSubscription();
+      if (!subscription) {
+        return true;
+      }
+
+      // Tell the server first - the endpoint is gone once unsubscribed
+      try {
+        await this.sendSubscriptionToServer('DELETE', { endpoint: subscription.endpoint });
+      } catch (error) {
+        logger.warn('Failed to remove push subscription from server:', error);
+      }
+
+      const result = await subscription.unsubscribe();
+      logger.log('✅ Unsubscribed from push messages');
+      this.notifySubscriptionChange(null);
+      return result;
+    } catch (error) {
+      logger.error('Failed to unsubscribe from push messages:', error);
+      return false;
+    }
+  }
+
+  async getSubscription() {
+    if (!this.isPushSupported()) {
+      return null;
+    }
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      return await registration.pushManager.getSubscription();
+    } catch (error) {
+      logger.error('Failed to get push subscription:', error);
+      return null;
+    }
+  }
+
+  async sendSubscriptionToServer(method, body) {
+    const response = await fetch(this.config.pushEndpoint, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Push endpoint responded with ${response.status} ${response.statusText}`);
+    }
+
+    return response;
+  }
+
+  hasApplicationServerKey(subscription, applicationServerKey) {
+    const currentKey = subscription.options?.applicationServerKey;
+    if (!currentKey) {
+      return false;
+    }
+
+    const current = new Uint8Array(currentKey);
+    return current.length === applicationServerKey.length &&
+      current.every((byte, index) => byte === applicationServerKey[index]);
+  }
+
+  urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const rawData = window.atob(base64);
+    return Uint8Array.from(rawData, char => char.charCodeAt(0));
+  }
+
+  notifySubscriptionChange(subscription) {
+    this.notificationCallbacks.forEach(callback => {
+      try {
+        callback({
+          type: 'subscription-change',
+          subscription
+        });
+      } catch (error) {
+        logger.error('Error in notification callback:', error);
+      }
+    });
+  }
+
   // Event Handlers
   handleNotificationClick(notification, event) {
     logger.log('🔔 Notification clicked:', notification.tag);
@@ -209,6 +365,16 @@ class NotificationManager {
     const action = event.action || 'default';
     const data = notification.data || {};
     
+    this.dispatchNotificationAction(action, data, notification);
+  }
+
+  handleServiceWorkerNotificationClick(action = 'default', data = {}, tag) {
+    logger.log('🔔 Service worker notification clicked:', tag);
+    
+    this.dispatchNotificationAction(action, data, null);
+  }
+
+  dispatchNotificationAction(action, data, notification) {
     // Notify callbacks
     this.notificationCallbacks.forEach(callback => {
       try {
@@ -231,9 +397,10 @@ class NotificationManager {
       case 'install':
         this.handleInstallAction();
         break;
+      case 'close':
       case 'later':
       case 'dismiss':
-        // Do nothing
+        // Dismiss actions (DISMISS_ACTIONS in sw.js) reach every open tab - do nothing
         break;
       default:
         // Focus the app window
@@ -365,11 +532,17 @@ class NotificationManager {
     }
   }
 
+  // Configuration Methods
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+
   // Debug Methods
   getStatus() {
     return {
       isSupported: this.isSupported,
       isInitialized: this.isInitialized,
+      isPushSupported: this.isPushSupported(),
       permission: this.permission,
       canRequestPermission: this.canRequestPermission()
     };
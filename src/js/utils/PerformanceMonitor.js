@@ -4,6 +4,7 @@
  */
 
 import logger from './Logger.js';
+import scheduler from './TaskScheduler.js';
 
 class PerformanceMonitor {
   constructor() {
@@ -60,6 +61,9 @@ class PerformanceMonitor {
       this.performanceObserver = null;
     }
     
+    scheduler.cancel('performance-memory');
+    scheduler.cancel('performance-metrics');
+    
     this.isMonitoring = false;
     logger.log('✅ Performance Monitor stopped');
   }
@@ -161,10 +165,10 @@ class PerformanceMonitor {
       return;
     }
 
-    setInterval(() => {
+    scheduler.schedule('performance-memory', () => {
       const memory = performance.memory;
       this.metrics.memoryUsage = memory.usedJSHeapSize / 1024 / 1024; // MB
-    }, 5000);
+    }, { interval: 5000, pauseWhenOffline: false });
   }
 
   setupBandwidthMonitoring() {
@@ -189,9 +193,9 @@ class PerformanceMonitor {
   }
 
   setupPeriodicCollection() {
-    setInterval(() => {
+    scheduler.schedule('performance-metrics', () => {
       this.collectMetrics();
-    }, 10000); // Every 10 seconds
+    }, { interval: 10000, pauseWhenOffline: false }); // Every 10 seconds
   }
 
   collectMetrics() {
@@ -0,0 +1,271 @@
+/**
+ * Storage Backends - Pluggable persistence for StorageManager
+ *
+ * Every backend implements the same async interface:
+ *   open()                  Prepare the backend (throws when unavailable)
+ *   get(key)                Stored value, or undefined
+ *   put(key, value)         Store a structured-cloneable value
+ *   delete(key)             Remove a key
+ *   list()                  All records as [{ key, value }]
+ *   clear()                 Remove every record (and nothing else)
+ *   transaction(callback)   Run callback({ get, put, delete }) atomically -
+ *                           await only those operations inside it
+ *
+ * IndexedDB is preferred: it doesn't block the main thread, isn't capped at
+ * ~5MB, and src/sw.js reads the same database (see getAppRecord there).
+ * localStorage remains the fallback where IndexedDB can't be opened.
+ */
+
+import logger from './Logger.js';
+
+// Shared with src/sw.js - change both together
+export const APP_DB_NAME = 'pwa-template';
+export const APP_DB_VERSION = 1;
+export const RECORD_STORE = 'records';
+
+// localStorage is shared with the rest of the page ('debug', ThemeManager's
+// theme), so records there are only StorageManager's own keys: pwa_template_*
+// minus the ones kept outside the records, plus a few older unprefixed ones
+export const LOCAL_STORAGE_IMPORTED_KEY = 'pwa_template_storage_imported';
+const RECORD_KEY_PREFIX = 'pwa_template_';
+const NON_RECORD_KEYS = [LOCAL_STORAGE_IMPORTED_KEY, 'pwa_template_theme'];
+const UNPREFIXED_RECORD_KEYS = [
+  'old_settings_key', // Pre-1.0 settings, read by the 1.0.0 migration
+  'install-prompt-dismissed' // PWAApp
+];
+
+export function isRecordKey(key) {
+  if (UNPREFIXED_RECORD_KEYS.includes(key)) return true;
+  return key.startsWith(RECORD_KEY_PREFIX) && !NON_RECORD_KEYS.includes(key);
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Values written before the JSON convention (e.g. the raw version string)
+function parseStoredValue(item) {
+  try {
+    return JSON.parse(item);
+  } catch (error) {
+    return item;
+  }
+}
+
+export class IndexedDBBackend {
+  constructor({ dbName = APP_DB_NAME, storeName = RECORD_STORE } = {}) {
+    this.name = 'indexeddb';
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, APP_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName, { keyPath: 'key' });
+          }
+        };
+
+        request.onsuccess = () => {
+          const db = request.result;
+          // A newer build (in another tab or the service worker) is upgrading -
+          // step aside and reopen at the next call
+          db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+      });
+
+      // Let a later call retry after a failed open
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  async withStore(mode, callback) {
+    const db = await this.open();
+    const transaction = db.transaction(this.storeName, mode);
+    const complete = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await callback(transaction.objectStore(this.storeName));
+    await complete;
+    return result;
+  }
+
+  async get(key) {
+    const record = await this.withStore('readonly', store => promisifyRequest(store.get(key)));
+    return record ? record.value : undefined;
+  }
+
+  put(key, value) {
+    return this.withStore('readwrite', store =>
+      promisifyRequest(store.put({ key, value, updatedAt: Date.now() }))
+    );
+  }
+
+  delete(key) {
+    return this.withStore('readwrite', store => promisifyRequest(store.delete(key)));
+  }
+
+  async list() {
+    const records = await this.withStore('readonly', store => promisifyRequest(store.getAll()));
+    return records.map(({ key, value }) => ({ key, value }));
+  }
+
+  clear() {
+    return this.withStore('readwrite', store => promisifyRequest(store.clear()));
+  }
+
+  // One readwrite transaction - it commits once the callback's requests
+  // settle, and aborts (writing nothing) if the callback throws
+  async transaction(callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      let result;
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+      const scope = {
+        get: key => promisifyRequest(store.get(key)).then(record => (record ? record.value : undefined)),
+        put: (key, value) => promisifyRequest(store.put({ key, value, updatedAt: Date.now() })),
+        delete: key => promisifyRequest(store.delete(key))
+      };
+
+      Promise.resolve()
+        .then(() => callback(scope))
+        .then(value => {
+          result = value;
+        }, error => {
+          reject(error);
+          try {
+            transaction.abort();
+          } catch (abortError) {
+            // Already committed - nothing left to undo
+          }
+        });
+    });
+  }
+}
+
+export class LocalStorageBackend {
+  constructor() {
+    this.name = 'localstorage';
+  }
+
+  static isSupported() {
+    try {
+      return typeof localStorage !== 'undefined';
+    } catch (error) {
+      return false; // Blocked by privacy settings
+    }
+  }
+
+  async open() {
+    if (!LocalStorageBackend.isSupported()) {
+      throw new Error('localStorage is not available');
+    }
+  }
+
+  async get(key) {
+    const item = localStorage.getItem(key);
+    return item === null ? undefined : parseStoredValue(item);
+  }
+
+  async put(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+
+  async delete(key) {
+    localStorage.removeItem(key);
+  }
+
+  // Only StorageManager's keys - see isRecordKey()
+  async list() {
+    return this.keys().map(key => ({ key, value: parseStoredValue(localStorage.getItem(key)) }));
+  }
+
+  async clear() {
+    this.keys().forEach(key => localStorage.removeItem(key));
+  }
+
+  keys() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (isRecordKey(key)) keys.push(key);
+    }
+    return keys;
+  }
+
+  // Writes are buffered and applied together once the callback succeeds
+  async transaction(callback) {
+    const writes = new Map();
+    const scope = {
+      get: async key => (writes.has(key) ? writes.get(key)?.value : this.get(key)),
+      put: async (key, value) => {
+        writes.set(key, { value });
+      },
+      delete: async key => {
+        writes.set(key, null);
+      }
+    };
+
+    const result = await callback(scope);
+    writes.forEach((write, key) => {
+      if (write) {
+        localStorage.setItem(key, JSON.stringify(write.value));
+      } else {
+        localStorage.removeItem(key);
+      }
+    });
+    return result;
+  }
+}
+
+/**
+ * Open the best available backend - IndexedDB, else localStorage
+ * @returns {Promise<IndexedDBBackend|LocalStorageBackend>}
+ */
+export async function createStorageBackend() {
+  if (IndexedDBBackend.isSupported()) {
+    const backend = new IndexedDBBackend();
+    try {
+      await backend.open();
+      return backend;
+    } catch (error) {
+      // e.g. private browsing modes that disable IndexedDB
+      logger.warn('IndexedDB unavailable, falling back to localStorage:', error.message || error);
+    }
+  }
+
+  const backend = new LocalStorageBackend();
+  await backend.open();
+  return backend;
+}
@@ -1,25 +1,38 @@
 /**
  * Storage Manager - Handles all data persistence with migration support
  * Based on lessons learned from multiple PWA projects
+ *
+ * Records live in a pluggable backend (IndexedDB, falling back to
+ * localStorage - see StorageBackends.js). initialize() loads them into
+ * memory so reads stay synchronous; writes update memory immediately and
+ * persist in the background. Await flush() before reloading the page.
  */
 
 import logger from './Logger.js';
+import { BUILD_ID } from './BuildInfo.js';
+import { createStorageBackend, LocalStorageBackend, LOCAL_STORAGE_IMPORTED_KEY } from './StorageBackends.js';
+import { planMigrations, createRecordView, diffRecords, migrateRecords } from './StorageMigrations.js';
+import { compareVersions, isValidVersion } from './Version.js';
+import { validate, SETTINGS_SCHEMA, DATA_SCHEMA } from './StorageSchema.js';
+import { createBackup, readBackup, mergeData, diffSections, IMPORT_MODES } from './Backup.js';
+
+// Records from before the migration step in progress
+const MIGRATION_SNAPSHOT_KEY = 'pwa_template_migration_snapshot';
 
 class StorageManager {
-  constructor() {
+  constructor(options = {}) {
     this.storageKey = 'pwa_template_data';
     this.settingsKey = 'pwa_template_settings';
     this.versionKey = 'pwa_template_version';
-    this.currentVersion = '1.0.0';
+    this.apiTokenKey = 'pwa_template_api_token'; // Read by src/sw.js for background refresh
+    this.currentVersion = BUILD_ID;
     
-    this.defaultSettings = {
-      theme: 'auto',
-      notifications: true,
-      autoUpdate: true,
-      language: 'en',
-      debugMode: false
-    };
+    this.defaultSettings = validate(SETTINGS_SCHEMA, {}).value;
     
+    this.validationCallbacks = [];
+    this.backend = options.backend || null;
+    this.records = new Map();
+    this.pendingWrites = new Set();
     this.isInitialized = false;
   }
 
@@ -29,6 +42,16 @@ class StorageManager {
     logger.log('🗄️ Initializing Storage Manager...');
     
     try {
+      if (!this.backend) {
+        this.backend = await createStorageBackend();
+      } else {
+        await this.backend.open();
+      }
+      
+      await this.importLocalStorage();
+      await this.refresh();
+      logger.log(`🗄️ Using ${this.backend.name} storage (${this.records.size} records)`);
+      
       // Check for data migration
       await this.checkForMigration();
       
@@ -45,27 +68,66 @@ class StorageManager {
     }
   }
 
+  // Backend
+  // Copy records written before IndexedDB was available - runs once, and
+  // leaves the page's other localStorage keys where they are
+  async importLocalStorage() {
+    if (this.backend instanceof LocalStorageBackend ||
+        !LocalStorageBackend.isSupported() ||
+        localStorage.getItem(LOCAL_STORAGE_IMPORTED_KEY)) {
+      return;
+    }
+    
+    const records = await new LocalStorageBackend().list();
+    await this.backend.transaction(async (store) => {
+      for (const { key, value } of records) {
+        await store.put(key, value);
+      }
+    });
+    
+    localStorage.setItem(LOCAL_STORAGE_IMPORTED_KEY, 'true');
+    logger.log(`🗄️ Imported ${records.length} records from localStorage`);
+  }
+
+  // Reload every record from the backend (e.g. after another tab wrote)
+  async refresh() {
+    const records = await this.backend.list();
+    this.records = new Map(records
+      .filter(({ key }) => key !== MIGRATION_SNAPSHOT_KEY)
+      .map(({ key, value }) => [key, value]));
+  }
+
+  persist(key, write) {
+    const pending = write
+      .catch(error => {
+        logger.error(`Failed to persist ${key}:`, error);
+      })
+      .finally(() => {
+        this.pendingWrites.delete(pending);
+      });
+    this.pendingWrites.add(pending);
+  }
+
+  // Resolves once every write so far has reached the backend
+  async flush() {
+    await Promise.all([...this.pendingWrites]);
+  }
+
   // Settings Management
+  // Reads always come back complete and valid (see SETTINGS_SCHEMA). Writes
+  // are checked field by field - invalid keys are reported and not stored.
   getSettings() {
-    try {
-      const settings = localStorage.getItem(this.settingsKey);
-      return settings ? JSON.parse(settings) : null;
-    } catch (error) {
-      logger.error('Failed to get settings:', error);
-      return null;
-    }
+    const settings = this.getItem(this.settingsKey);
+    return settings ? validate(SETTINGS_SCHEMA, settings).value : null;
   }
 
+  // Returns false when any key was rejected (the valid ones are still saved)
   setSettings(settings) {
-    try {
-      const currentSettings = this.getSettings() || {};
-      const mergedSettings = { ...currentSettings, ...settings };
-      localStorage.setItem(this.settingsKey, JSON.stringify(mergedSettings));
-      return true;
-    } catch (error) {
-      logger.error('Failed to set settings:', error);
-      return false;
-    }
+    const { value, errors } = validate(SETTINGS_SCHEMA, settings, { partial: true });
+    this.reportValidationErrors('settings', errors);
+    
+    const currentSettings = this.getSettings() || {};
+    return this.setItem(this.settingsKey, { ...currentSettings, ...value }) && errors.length === 0;
   }
 
   updateSettings(updates) {
@@ -74,10 +136,11 @@ class StorageManager {
   }
 
   // Generic Storage Methods
+  // Values are copied in and out so callers can't mutate stored records
   getItem(key, defaultValue = null) {
     try {
-      const item = localStorage.getItem(key);
-      return item ? JSON.parse(item) : defaultValue;
+      const value = this.records.get(key);
+      return value === undefined || value === null ? defaultValue : structuredClone(value);
     } catch (error) {
       logger.error(`Failed to get item ${key}:`, error);
       return defaultValue;
@@ -86,7 +149,9 @@ class StorageManager {
 
   setItem(key, value) {
     try {
-      localStorage.setItem(key, JSON.stringify(value));
+      const stored = structuredClone(value);
+      this.records.set(key, stored);
+      this.persist(key, this.backend.put(key, stored));
       return true;
     } catch (error) {
       logger.error(`Failed to set item ${key}:`, error);
@@ -94,9 +159,27 @@ class StorageManager {
     }
   }
 
+  // Write several records in one backend transaction - all land or none do
+  async setItems(entries) {
+    try {
+      await this.flush();
+      await this.backend.transaction(async (store) => {
+        for (const [key, value] of entries) {
+          await store.put(key, value);
+        }
+      });
+      entries.forEach(([key, value]) => this.records.set(key, structuredClone(value)));
+      return true;
+    } catch (error) {
+      logger.error('Failed to set items:', error);
+      return false;
+    }
+  }
+
   removeItem(key) {
     try {
-      localStorage.removeItem(key);
+      this.records.delete(key);
+      this.persist(key, this.backend.delete(key));
       return true;
     } catch (error) {
       logger.error(`Failed to remove item ${key}:`, error);
@@ -105,12 +188,15 @@ class StorageManager {
   }
 
   // Data Management
+  // Entries are checked against DATA_SCHEMA like settings are
   getData() {
-    return this.getItem(this.storageKey, {});
+    return validate(DATA_SCHEMA, this.getItem(this.storageKey, {})).value;
   }
 
   setData(data) {
-    return this.setItem(this.storageKey, data);
+    const { value, errors } = validate(DATA_SCHEMA, data);
+    this.reportValidationErrors('data', errors);
+    return this.setItem(this.storageKey, value) && errors.length === 0;
   }
 
   updateData(updates) {
@@ -122,94 +208,202 @@ class StorageManager {
     return this.removeItem(this.storageKey);
   }
 
+  // API credentials
+  // The service worker sends this token with background content refreshes
+  getApiToken() {
+    return this.getItem(this.apiTokenKey);
+  }
+
+  setApiToken(token) {
+    return token ? this.setItem(this.apiTokenKey, token) : this.removeItem(this.apiTokenKey);
+  }
+
+  // Validation
+  onValidationError(callback) {
+    this.validationCallbacks.push(callback);
+  }
+
+  reportValidationErrors(source, errors) {
+    if (errors.length === 0) return;
+    
+    errors.forEach(({ path, message }) => {
+      logger.warn(`Invalid ${source} value ${path}: ${message}`);
+    });
+    
+    this.validationCallbacks.forEach(callback => {
+      try {
+        callback({ source, errors });
+      } catch (error) {
+        logger.error('Error in validation callback:', error);
+      }
+    });
+  }
+
   // Migration Support
+  // Stored data is stamped with the build that wrote it. Starting a different
+  // release runs the planned migrations (see StorageMigrations.js) in order.
   async checkForMigration() {
-    const storedVersion = localStorage.getItem(this.versionKey);
+    // A crash mid-migration leaves its snapshot behind - put it back first
+    await this.restoreMigrationSnapshot();
+    
+    const storedVersion = this.getItem(this.versionKey);
     
     if (!storedVersion) {
       // First time setup
-      localStorage.setItem(this.versionKey, this.currentVersion);
+      this.setItem(this.versionKey, this.currentVersion);
+      return;
+    }
+    
+    // The dev server's 'development' build has no place in the version order -
+    // keep the stored stamp so the next real build migrates from it
+    if (!isValidVersion(this.currentVersion)) {
+      if (storedVersion !== this.currentVersion) {
+        logger.warn(`Not migrating data from ${storedVersion} under the ${this.currentVersion} build`);
+      }
+      return;
+    }
+    
+    // Written by a dev build - there's nothing to plan from
+    if (!isValidVersion(storedVersion)) {
+      logger.warn(`Stored data is from unversioned build ${storedVersion} - stamping ${this.currentVersion}`);
+      this.setItem(this.versionKey, this.currentVersion);
       return;
     }
     
     if (storedVersion !== this.currentVersion) {
-      logger.log(`🔄 Migrating data from version ${storedVersion} to ${this.currentVersion}`);
-      await this.migrateData(storedVersion, this.currentVersion);
-      localStorage.setItem(this.versionKey, this.currentVersion);
+      const report = await this.migrate({ from: storedVersion, to: this.currentVersion });
+      if (!report.success) {
+        // Data is back at the last good step - don't run this build against it
+        throw new Error(`Data migration ${report.failedStep} failed: ${report.error}`);
+      }
     }
   }
 
-  async migrateData(fromVersion, toVersion) {
-    // Version-specific migration logic
-    const migrations = {
-      '1.0.0': () => this.migrateToV1_0_0(),
-      // Add more migrations as needed
-    };
+  /**
+   * Run or preview the migrations between two versions
+   * Each step runs on a copy of the records and is written in one backend
+   * transaction. A snapshot of the records from before the step is stored
+   * until it commits, so a failed write - or a crash - restores it.
+   * @param {Object} options - Migration options
+   * @param {string} options.from - Version that wrote the stored data
+   * @param {string} options.to - Version to migrate to
+   * @param {boolean} options.dryRun - Report what would change without writing
+   * @returns {Promise<Object>} { success, dryRun, from, to, steps: [{ from, to,
+   *   direction, description, changes: { added, changed, removed } }],
+   *   failedStep?, error?, skipped? }
+   */
+  async migrate({ from = this.getItem(this.versionKey), to = this.currentVersion, dryRun = false } = {}) {
+    const plan = planMigrations(from, to);
+    const report = { success: true, dryRun, from, to, steps: [] };
     
-    try {
-      // Run migrations in sequence
-      const versionNumbers = this.getVersionNumbers(fromVersion, toVersion);
+    if (!isValidVersion(from) || !isValidVersion(to)) {
+      logger.warn(`Can't migrate between ${from} and ${to} - both must be semver`);
+      report.skipped = true;
+      return report;
+    }
+    
+    // An older build can't know how to undo a newer release's changes -
+    // keep the newer stamp so upgrading again doesn't re-run them
+    if (plan.length === 0 && compareVersions(to, from) < 0) {
+      logger.warn(`Stored data is from newer release ${from} - leaving it as is`);
+      report.skipped = true;
+      return report;
+    }
+    
+    logger.log(`🔄 ${dryRun ? 'Dry run: migrating' : 'Migrating'} data from ${from} to ${to} (${plan.length} steps)`);
+    let records = structuredClone(this.records);
+    
+    for (const step of plan) {
+      const label = `${step.from} → ${step.to}`;
+      const working = structuredClone(records);
       
-      for (const version of versionNumbers) {
-        const migration = migrations[version];
-        if (migration) {
-          logger.log(`Running migration for version ${version}`);
-          await migration();
+      try {
+        await step.migration[step.direction](createRecordView(working));
+        
+        const changes = diffRecords(records, working);
+        report.steps.push({
+          from: step.from,
+          to: step.to,
+          direction: step.direction,
+          description: step.migration.description,
+          changes
+        });
+        
+        if (!dryRun) {
+          await this.commitMigrationStep(records, working, changes, step);
         }
+      } catch (error) {
+        logger.error(`❌ Migration ${label} failed:`, error);
+        return { ...report, success: false, failedStep: label, error: error.message };
       }
       
+      records = working;
+    }
+    
+    if (!dryRun) {
+      this.setItem(this.versionKey, to);
+      await this.flush();
       logger.log('✅ Data migration completed successfully');
-    } catch (error) {
-      logger.error('❌ Data migration failed:', error);
-      // Don't throw - allow app to continue with potentially incomplete data
     }
+    
+    return report;
   }
 
-  getVersionNumbers(fromVersion, toVersion) {
-    // Simple version comparison - can be enhanced for complex versioning
-    const versions = ['1.0.0']; // Add all versions in order
-    const fromIndex = versions.indexOf(fromVersion);
-    const toIndex = versions.indexOf(toVersion);
+  async commitMigrationStep(before, after, changes, step) {
+    await this.flush();
+    await this.backend.put(MIGRATION_SNAPSHOT_KEY, {
+      from: step.from,
+      to: step.to,
+      records: [...before]
+    });
     
-    if (fromIndex === -1 || toIndex === -1) {
-      logger.warn('Unknown version in migration');
-      return [];
+    try {
+      await this.backend.transaction(async (store) => {
+        for (const key of [...changes.added, ...changes.changed]) {
+          await store.put(key, after.get(key));
+        }
+        for (const key of changes.removed) {
+          await store.delete(key);
+        }
+        await store.put(this.versionKey, step.to);
+        await store.delete(MIGRATION_SNAPSHOT_KEY);
+      });
+    } catch (error) {
+      await this.restoreMigrationSnapshot();
+      throw error;
     }
     
-    return versions.slice(fromIndex + 1, toIndex + 1);
+    this.records = structuredClone(after);
+    this.records.set(this.versionKey, step.to);
   }
 
-  migrateToV1_0_0() {
-    // Example migration logic
-    logger.log('Running migration to v1.0.0');
+  async restoreMigrationSnapshot() {
+    const snapshot = await this.backend.get(MIGRATION_SNAPSHOT_KEY);
+    if (!snapshot) return false;
     
-    // Migrate old settings format if needed
-    const oldSettings = localStorage.getItem('old_settings_key');
-    if (oldSettings) {
-      try {
-        const parsed = JSON.parse(oldSettings);
-        // Transform old format to new format
-        const newSettings = {
-          theme: parsed.theme || 'auto',
-          notifications: parsed.notifications !== false,
-          autoUpdate: parsed.autoUpdate !== false
-        };
-        this.setSettings(newSettings);
-        localStorage.removeItem('old_settings_key');
-      } catch (error) {
-        logger.error('Failed to migrate old settings:', error);
+    const records = new Map(snapshot.records);
+    const current = await this.backend.list();
+    
+    await this.backend.transaction(async (store) => {
+      for (const { key } of current) {
+        if (!records.has(key)) await store.delete(key);
       }
-    }
+      for (const [key, value] of records) {
+        await store.put(key, value);
+      }
+    });
+    
+    this.records = records;
+    logger.warn(`Restored data from before the ${snapshot.from} → ${snapshot.to} migration`);
+    return true;
   }
 
   // Storage Quota Management
   getStorageUsage() {
     try {
       let totalSize = 0;
-      for (let key in localStorage) {
-        if (localStorage.hasOwnProperty(key)) {
-          totalSize += localStorage[key].length + key.length;
-        }
+      for (const [key, value] of this.records) {
+        totalSize += key.length + (JSON.stringify(value)?.length || 0);
       }
       return totalSize;
     } catch (error) {
@@ -253,16 +447,18 @@ class StorageManager {
   }
 
   // Export/Import
-  exportData() {
+  // Backups hold the settings and data records (see Backup.js). Encrypted
+  // store records are left out - they belong to their own passphrase.
+  async exportData({ passphrase = '' } = {}) {
     try {
-      const data = {
-        settings: this.getSettings(),
-        data: this.getData(),
-        version: this.currentVersion,
-        exportDate: new Date().toISOString()
-      };
+      await this.flush();
+      const records = new Map([
+        [this.settingsKey, this.getSettings()],
+        [this.storageKey, this.getData()]
+      ]);
+      const backup = await createBackup(records, { appVersion: this.currentVersion, passphrase });
       
-      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       
       const a = document.createElement('a');
@@ -273,6 +469,7 @@ class StorageManager {
       document.body.removeChild(a);
       URL.revokeObjectURL(url);
       
+      logger.log(`✅ Data exported${passphrase ? ' (encrypted)' : ''}`);
       return true;
     } catch (error) {
       logger.error('Failed to export data:', error);
@@ -280,46 +477,98 @@ class StorageManager {
     }
   }
 
-  async importData(file) {
+  /**
+   * Import a backup file
+   * Older backups are migrated to this build first, and every value is
+   * validated. Settings have no timestamps, so merging keeps this device's.
+   * @param {File} file - Backup file (any format version)
+   * @param {Object} options - Import options
+   * @param {string} options.mode - One of IMPORT_MODES
+   * @param {string} options.passphrase - For encrypted backups
+   * @returns {Promise<Object>} { success, mode, applied, backup, changes: {
+   *   replace, merge } (each { added, changed, removed }), errors, error? }
+   */
+  async importData(file, { mode = IMPORT_MODES.REPLACE, passphrase = '' } = {}) {
     try {
-      const text = await file.text();
-      const importedData = JSON.parse(text);
+      if (!Object.values(IMPORT_MODES).includes(mode)) {
+        throw new Error(`Unknown import mode: ${mode}`);
+      }
       
-      // Validate imported data
-      if (!importedData.version || !importedData.settings) {
-        throw new Error('Invalid backup file format');
+      let parsed;
+      try {
+        parsed = JSON.parse(await file.text());
+      } catch (error) {
+        throw new Error('Backup file is not valid JSON');
       }
       
-      // Import settings
-      if (importedData.settings) {
-        this.setSettings(importedData.settings);
+      const { info, records } = await readBackup(parsed, { passphrase });
+      const migrated = await migrateRecords(records, info.appVersion, this.currentVersion);
+      
+      const settings = validate(SETTINGS_SCHEMA, migrated.get(this.settingsKey) || {}, { path: 'settings', partial: true });
+      const data = migrated.has(this.storageKey)
+        ? validate(DATA_SCHEMA, migrated.get(this.storageKey), { path: 'data' })
+        : { value: null, errors: [] };
+      const errors = [...settings.errors, ...data.errors];
+      this.reportValidationErrors('import', errors);
+      
+      const current = { settings: this.getSettings(), data: this.getData() };
+      const results = {
+        [IMPORT_MODES.REPLACE]: {
+          settings: { ...current.settings, ...settings.value },
+          data: data.value || current.data
+        },
+        [IMPORT_MODES.MERGE]: {
+          settings: current.settings,
+          data: data.value ? mergeData(current.data, data.value) : current.data
+        }
+      };
+      
+      const report = {
+        success: true,
+        mode,
+        applied: false,
+        backup: info,
+        changes: {
+          replace: diffSections(current, results[IMPORT_MODES.REPLACE]),
+          merge: diffSections(current, results[IMPORT_MODES.MERGE])
+        },
+        errors
+      };
+      
+      if (mode === IMPORT_MODES.PREVIEW) {
+        return report;
       }
       
-      // Import data
-      if (importedData.data) {
-        this.setData(importedData.data);
+      const result = results[mode];
+      const saved = await this.setItems([
+        [this.settingsKey, result.settings],
+        [this.storageKey, result.data]
+      ]);
+      if (!saved) {
+        throw new Error('Could not save the imported data');
       }
       
-      logger.log('✅ Data imported successfully');
-      return true;
+      logger.log(`✅ Data imported (${mode}, backup from ${info.appVersion})`);
+      return { ...report, applied: true };
     } catch (error) {
       logger.error('Failed to import data:', error);
-      return false;
+      return { success: false, mode, applied: false, error: error.message };
     }
   }
 
   // Debug Methods
   getAllKeys() {
-    const keys = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      keys.push(localStorage.key(i));
-    }
-    return keys;
+    return [...this.records.keys()];
   }
 
   clearAll() {
     try {
-      localStorage.clear();
+      this.records.clear();
+      this.persist('all records', this.backend.clear());
+      // Copies left in localStorage from before the IndexedDB import
+      if (!(this.backend instanceof LocalStorageBackend) && LocalStorageBackend.isSupported()) {
+        new LocalStorageBackend().clear();
+      }
       logger.log('✅ All storage cleared');
       return true;
     } catch (error) {
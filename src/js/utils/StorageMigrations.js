@@ -0,0 +1,135 @@
+/**
+ * Storage Migrations - Versioned changes to stored records
+ *
+ * Each migration moves stored data between two releases:
+ *   { from, to, description, up(records), down(records) }
+ * `records` is a working copy of every record - get(key), set(key, value),
+ * remove(key), keys() - and both functions may be async. `down` undoes `up`
+ * so data can follow a deploy back to an older release.
+ *
+ * Versions are compared by semver precedence (see Version.js), ignoring
+ * build metadata, so builds of the same release never migrate. Nothing is
+ * planned to or from a non-semver build such as the dev server's
+ * 'development'. StorageManager runs the plan.
+ */
+
+import { compareVersions, isValidVersion } from './Version.js';
+
+export const MIGRATIONS = [
+  {
+    from: '0.0.0',
+    to: '1.0.0',
+    description: 'Move pre-1.0 settings (old_settings_key) into the settings record',
+    up(records) {
+      const oldSettings = records.get('old_settings_key');
+      if (!oldSettings) return;
+
+      records.set('pwa_template_settings', {
+        ...records.get('pwa_template_settings'),
+        theme: oldSettings.theme || 'auto',
+        notifications: oldSettings.notifications !== false,
+        autoUpdate: oldSettings.autoUpdate !== false
+      });
+      records.remove('old_settings_key');
+    },
+    down(records) {
+      const settings = records.get('pwa_template_settings');
+      if (!settings) return;
+
+      records.set('old_settings_key', {
+        theme: settings.theme,
+        notifications: settings.notifications,
+        autoUpdate: settings.autoUpdate
+      });
+    }
+  }
+  // Add new migrations here - one per release that changes stored data
+];
+
+/**
+ * Steps that take stored data from one version to another
+ * Upgrades run `up` for every migration whose target lies in (from, to],
+ * oldest first; downgrades run `down` for the same range, newest first.
+ * Either version not being semver plans nothing.
+ * @param {string} fromVersion - Version the stored data was written by
+ * @param {string} toVersion - Version of the running build
+ * @param {Array} migrations - Registry to plan from
+ * @returns {Array<{migration: Object, direction: 'up'|'down', from: string, to: string}>}
+ */
+export function planMigrations(fromVersion, toVersion, migrations = MIGRATIONS) {
+  if (!isValidVersion(fromVersion) || !isValidVersion(toVersion)) {
+    return [];
+  }
+
+  const direction = compareVersions(toVersion, fromVersion);
+  const inRange = (version, low, high) =>
+    compareVersions(version, low) > 0 && compareVersions(version, high) <= 0;
+
+  if (direction > 0) {
+    return migrations
+      .filter(migration => inRange(migration.to, fromVersion, toVersion))
+      .sort((a, b) => compareVersions(a.to, b.to))
+      .map(migration => ({ migration, direction: 'up', from: migration.from, to: migration.to }));
+  }
+
+  if (direction < 0) {
+    return migrations
+      .filter(migration => inRange(migration.to, toVersion, fromVersion))
+      .sort((a, b) => compareVersions(b.to, a.to))
+      .map(migration => ({ migration, direction: 'down', from: migration.to, to: migration.from }));
+  }
+
+  return [];
+}
+
+/**
+ * Run the planned migrations over a detached copy of some records
+ * For data that isn't in storage yet, such as an imported backup. Stored
+ * data goes through StorageManager.migrate(), which commits step by step.
+ * @param {Map} records - Records written by fromVersion (left unchanged)
+ * @returns {Promise<Map>} Migrated copy
+ */
+export async function migrateRecords(records, fromVersion, toVersion, migrations = MIGRATIONS) {
+  const working = structuredClone(records);
+  for (const step of planMigrations(fromVersion, toVersion, migrations)) {
+    await step.migration[step.direction](createRecordView(working));
+  }
+  return working;
+}
+
+// Mutable view over a Map of records, handed to up()/down()
+export function createRecordView(records) {
+  return {
+    get: key => records.get(key),
+    set: (key, value) => {
+      records.set(key, value);
+    },
+    remove: key => {
+      records.delete(key);
+    },
+    keys: () => [...records.keys()]
+  };
+}
+
+/**
+ * Keys that differ between two record Maps
+ * @returns {{added: string[], changed: string[], removed: string[]}}
+ */
+export function diffRecords(before, after) {
+  const added = [];
+  const changed = [];
+  const removed = [];
+
+  after.forEach((value, key) => {
+    if (!before.has(key)) {
+      added.push(key);
+    } else if (JSON.stringify(before.get(key)) !== JSON.stringify(value)) {
+      changed.push(key);
+    }
+  });
+  before.forEach((value, key) => {
+    if (!after.has(key)) removed.push(key);
+  });
+
+  return { added, changed, removed };
+}
@@ -0,0 +1,171 @@
+/**
+ * Storage Schema - Declarative shapes for settings and stored data
+ *
+ * A schema node describes one value:
+ *   type      'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array'
+ *   enum      Allowed values
+ *   default   Used when the value is missing or invalid
+ *   min, max  Number range, or string/array length
+ *   fields    (object) Schema per known key - other keys are reported and
+ *             dropped unless `additional` is true
+ *   values    (object) Schema for every value of a keyed collection
+ *   items     (array) Schema for every element
+ *
+ * Fields are validated one at a time, with light coercion ("true" → true,
+ * "5" → 5), so one bad key falls back on its own without rejecting the rest.
+ */
+
+// pwa_template_settings
+export const SETTINGS_SCHEMA = {
+  type: 'object',
+  default: {},
+  fields: {
+    theme: { type: 'string', enum: ['light', 'dark', 'auto'], default: 'auto' },
+    notifications: { type: 'boolean', default: true },
+    autoUpdate: { type: 'boolean', default: true },
+    backgroundRefresh: { type: 'boolean', default: true },
+    language: { type: 'string', min: 2, max: 10, default: 'en' },
+    debugMode: { type: 'boolean', default: false }
+  }
+};
+
+// pwa_template_data - app records by ID; cleanupOldData() expires them by timestamp
+export const DATA_SCHEMA = {
+  type: 'object',
+  default: {},
+  values: {
+    type: 'object',
+    additional: true,
+    fields: {
+      timestamp: { type: 'number', min: 0 }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function coerce(type, value) {
+  switch (type) {
+    case 'boolean':
+      if (value === 'true' || value === 1) return true;
+      if (value === 'false' || value === 0) return false;
+      return value;
+    case 'number':
+    case 'integer':
+      if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+        return Number(value);
+      }
+      return value;
+    case 'string':
+      return typeof value === 'number' || typeof value === 'boolean' ? String(value) : value;
+    default:
+      return value;
+  }
+}
+
+// What's wrong with a (coerced) value, or null when it fits the schema
+function findProblem(schema, value) {
+  const actual = typeOf(value);
+
+  if (schema.type === 'integer') {
+    if (!Number.isInteger(value)) return `expected an integer, got ${actual}`;
+  } else if (schema.type === 'number') {
+    if (actual !== 'number' || !Number.isFinite(value)) return `expected a number, got ${actual}`;
+  } else if (schema.type && actual !== schema.type) {
+    return `expected ${schema.type}, got ${actual}`;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of ${schema.enum.join(', ')}`;
+  }
+
+  const size = typeof value === 'number' ? value : value?.length;
+  const unit = typeof value === 'string' ? ' characters' : Array.isArray(value) ? ' items' : '';
+  if (schema.min !== undefined && size < schema.min) {
+    return `must be at least ${schema.min}${unit}`;
+  }
+  if (schema.max !== undefined && size > schema.max) {
+    return `must be at most ${schema.max}${unit}`;
+  }
+
+  return null;
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : String(key);
+}
+
+function defaultOf(schema) {
+  return schema.default === undefined ? undefined : structuredClone(schema.default);
+}
+
+// Returns the valid value, the default, or undefined (drop the key)
+function check(schema, value, path, errors, useDefault = true) {
+  if (value === undefined) {
+    return useDefault ? defaultOf(schema) : undefined;
+  }
+
+  const coerced = coerce(schema.type, value);
+  const problem = findProblem(schema, coerced);
+  if (problem) {
+    errors.push({ path: path || '(root)', message: problem, value });
+    return useDefault ? defaultOf(schema) : undefined;
+  }
+
+  if (schema.type === 'object') {
+    return checkObject(schema, coerced, path, errors, useDefault);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    return coerced
+      .map((item, index) => check(schema.items, item, joinPath(path, index), errors, false))
+      .filter(item => item !== undefined);
+  }
+
+  return coerced;
+}
+
+function checkObject(schema, value, path, errors, useDefaults) {
+  const result = {};
+  const fields = schema.fields || {};
+
+  Object.entries(fields).forEach(([key, fieldSchema]) => {
+    const fieldValue = check(fieldSchema, value[key], joinPath(path, key), errors, useDefaults);
+    if (fieldValue !== undefined) result[key] = fieldValue;
+  });
+
+  Object.keys(value).forEach(key => {
+    if (key in fields) return;
+
+    if (schema.values) {
+      const entry = check(schema.values, value[key], joinPath(path, key), errors, false);
+      if (entry !== undefined) result[key] = entry;
+    } else if (schema.additional) {
+      result[key] = value[key];
+    } else {
+      errors.push({ path: joinPath(path, key), message: 'is not a known key', value: value[key] });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Validate and coerce a value against a schema
+ * @param {Object} schema - Schema node (e.g. SETTINGS_SCHEMA)
+ * @param {*} value - Value to check
+ * @param {Object} options - Validation options
+ * @param {string} options.path - Prefix for reported paths (e.g. 'settings')
+ * @param {boolean} options.partial - Partial update: leave missing fields
+ *   out and drop invalid ones instead of filling in defaults
+ * @returns {{value: *, errors: Array<{path: string, message: string, value: *}>}}
+ */
+export function validate(schema, value, { path = '', partial = false } = {}) {
+  const errors = [];
+  const result = check(schema, value, path, errors, !partial);
+  return { value: result === undefined ? defaultOf(schema) : result, errors };
+}
@@ -0,0 +1,246 @@
+/**
+ * Tab Coordinator - Cross-tab events and leader election over BroadcastChannel
+ *
+ * One open tab is the leader and runs the periodic work (update checks);
+ * the rest follow and one of them takes over when the leader closes.
+ * Leadership is a Web Lock held for the tab's lifetime where supported,
+ * otherwise the leader heartbeats on the channel and the oldest tab wins.
+ *
+ * Channel message: { type, data, from } - `from` is the sender's tab ID.
+ * BroadcastChannel never delivers to the sending tab.
+ */
+
+import logger from './Logger.js';
+
+export const TAB_EVENTS = {
+  UPDATE_ACCEPTED: 'update-accepted',
+  UPDATE_DISMISSED: 'update-dismissed',
+  THEME_CHANGED: 'theme-changed',
+  SETTINGS_CHANGED: 'settings-changed',
+  ENCRYPTED_STORE_CHANGED: 'encrypted-store-changed',
+  LOGOUT: 'logout'
+};
+
+const CHANNEL_NAME = 'pwa-template-tabs';
+const LEADER_LOCK = 'pwa-template-leader';
+
+// Election messages for browsers without Web Locks
+const HEARTBEAT = '__heartbeat';
+const RESIGN = '__resign';
+
+class TabCoordinator {
+  constructor() {
+    // Time-prefixed so comparing IDs finds the oldest tab
+    this.tabId = `${Date.now().toString(36).padStart(9, '0')}-${Math.random().toString(36).slice(2, 8)}`;
+    this.channel = null;
+    this.isStarted = false;
+    this.isConnected = false;
+    this.isLeaderTab = false;
+    this.listeners = new Map();
+    this.leadershipCallbacks = [];
+    this.releaseLock = null;
+    this.lockRequest = null;
+    this.heartbeatTimer = null;
+    this.lastHeartbeat = 0;
+
+    this.config = {
+      heartbeatInterval: 2000,
+      leaderTimeout: 5000
+    };
+  }
+
+  start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+
+    window.addEventListener('pagehide', () => this.disconnect());
+    window.addEventListener('pageshow', (event) => {
+      // Restored from the back/forward cache - rejoin the election
+      if (event.persisted) this.connect();
+    });
+
+    this.connect();
+    logger.log(`🗂️ Tab coordinator started (${this.tabId})`);
+  }
+
+  connect() {
+    if (this.isConnected) return;
+    this.isConnected = true;
+
+    if (!('BroadcastChannel' in window)) {
+      // No way to see other tabs - act alone
+      this.setLeader(true);
+      return;
+    }
+
+    this.channel = new BroadcastChannel(CHANNEL_NAME);
+    this.channel.onmessage = (event) => this.handleMessage(event.data);
+
+    if (navigator.locks) {
+      this.electWithLock();
+    } else {
+      this.electWithHeartbeats();
+    }
+  }
+
+  disconnect() {
+    if (!this.isConnected) return;
+    this.isConnected = false;
+
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    if (this.isLeaderTab && !this.releaseLock) {
+      this.post(RESIGN);
+    }
+    this.releaseLock?.();
+    this.releaseLock = null;
+    this.lockRequest?.abort();
+    this.lockRequest = null;
+
+    this.channel?.close();
+    this.channel = null;
+    this.setLeader(false);
+  }
+
+  // Leader Election
+  electWithLock() {
+    // Followers queue for the lock; aborted if the tab leaves first
+    this.lockRequest = new AbortController();
+    navigator.locks.request(LEADER_LOCK, { signal: this.lockRequest.signal }, () => {
+      this.lockRequest = null;
+      this.setLeader(true);
+      // Hold the lock until the tab goes away
+      return new Promise(resolve => {
+        this.releaseLock = resolve;
+      });
+    }).catch(error => {
+      if (error.name === 'AbortError') return;
+      logger.error('Leader lock request failed:', error);
+    });
+  }
+
+  electWithHeartbeats() {
+    // Give a running leader one timeout to announce itself
+    this.lastHeartbeat = Date.now();
+    this.heartbeatTimer = setInterval(() => {
+      this.tickHeartbeat();
+    }, this.config.heartbeatInterval);
+  }
+
+  tickHeartbeat() {
+    if (this.isLeaderTab) {
+      this.post(HEARTBEAT);
+      return;
+    }
+
+    if (Date.now() - this.lastHeartbeat > this.config.leaderTimeout) {
+      // Several tabs may claim at once - handleHeartbeat keeps the oldest
+      this.setLeader(true);
+      this.post(HEARTBEAT);
+    }
+  }
+
+  handleHeartbeat(from) {
+    this.lastHeartbeat = Date.now();
+    if (this.isLeaderTab && from < this.tabId) {
+      this.setLeader(false);
+    }
+  }
+
+  setLeader(isLeader) {
+    if (this.isLeaderTab === isLeader) return;
+    this.isLeaderTab = isLeader;
+
+    if (isLeader) {
+      logger.log('👑 This tab is now the leader');
+    }
+
+    this.leadershipCallbacks.forEach(callback => {
+      try {
+        callback({ isLeader });
+      } catch (error) {
+        logger.error('Error in leadership callback:', error);
+      }
+    });
+  }
+
+  isLeader() {
+    return this.isLeaderTab;
+  }
+
+  onLeadershipChange(callback) {
+    this.leadershipCallbacks.push(callback);
+  }
+
+  // Messaging
+  post(type, data = null) {
+    if (!this.channel) return false;
+
+    try {
+      this.channel.postMessage({ type, data, from: this.tabId });
+      return true;
+    } catch (error) {
+      logger.error(`Failed to broadcast ${type}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Send an event to every other open tab
+   * @param {string} type - One of TAB_EVENTS
+   * @param {*} data - Structured-cloneable payload
+   * @returns {boolean} Whether the event was sent
+   */
+  broadcast(type, data = null) {
+    return this.post(type, data);
+  }
+
+  /**
+   * Listen for an event broadcast by another tab
+   * @param {string} type - One of TAB_EVENTS
+   * @param {Function} callback - Called with (data, { from })
+   */
+  on(type, callback) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    this.listeners.get(type).push(callback);
+  }
+
+  handleMessage(message) {
+    if (!message || !message.type) return;
+
+    switch (message.type) {
+      case HEARTBEAT:
+        this.handleHeartbeat(message.from);
+        return;
+      case RESIGN:
+        // Leader closed - the next tick elects a new one
+        this.lastHeartbeat = 0;
+        return;
+    }
+
+    // Listeners may be async - their rejections are caught here too
+    (this.listeners.get(message.type) || []).forEach(callback => {
+      Promise.resolve()
+        .then(() => callback(message.data, { from: message.from }))
+        .catch(error => {
+          logger.error(`Error in ${message.type} tab listener:`, error);
+        });
+    });
+  }
+
+  getStatus() {
+    return {
+      tabId: this.tabId,
+      isLeader: this.isLeaderTab,
+      election: !this.channel ? 'none' : navigator.locks ? 'web-locks' : 'heartbeat'
+    };
+  }
+}
+
+// Shared across the app - one coordinator per tab
+const tabCoordinator = new TabCoordinator();
+
+export default tabCoordinator;
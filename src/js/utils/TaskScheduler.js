@@ -0,0 +1,243 @@
+/**
+ * Task Scheduler - One place for the app's recurring background work
+ *
+ * Jobs are named, run on a jittered interval so tabs and clients don't poll
+ * in lockstep, and back off exponentially while they keep failing. All jobs
+ * pause while the page is hidden or offline and catch up when it returns.
+ *
+ * A run fails when the task throws, rejects, or resolves to `false` or
+ * `{ success: false }` - the repo's usual ways of reporting failure.
+ */
+
+import logger from './Logger.js';
+import tabCoordinator from './TabCoordinator.js';
+
+export const JOB_STATES = {
+  SCHEDULED: 'scheduled',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled'
+};
+
+const DEFAULT_OPTIONS = {
+  interval: 60000,
+  jitter: 0.1, // ± fraction of the interval
+  maxBackoff: 30 * 60 * 1000, // Longest delay between failing runs
+  runImmediately: false,
+  leaderOnly: false, // Skip runs in tabs that aren't the TabCoordinator leader
+  pauseWhenHidden: true,
+  pauseWhenOffline: true
+};
+
+class TaskScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.changeCallbacks = [];
+    this.isListening = false;
+  }
+
+  /**
+   * Schedule a recurring job, replacing any job with the same name
+   * @param {string} name - Unique job name, shown in the status view
+   * @param {Function} task - Work to run; may be async
+   * @param {Object} options - See DEFAULT_OPTIONS
+   * @returns {Function} Cancels the job
+   */
+  schedule(name, task, options = {}) {
+    this.listen();
+    this.cancel(name);
+
+    const job = {
+      name,
+      task,
+      options: { ...DEFAULT_OPTIONS, ...options },
+      state: JOB_STATES.SCHEDULED,
+      timer: null,
+      nextRun: null,
+      lastRun: null,
+      lastError: null,
+      runs: 0,
+      failures: 0,
+      consecutiveFailures: 0
+    };
+    this.jobs.set(name, job);
+
+    if (this.isPaused(job)) {
+      job.state = JOB_STATES.PAUSED;
+      job.nextRun = Date.now() + (job.options.runImmediately ? 0 : job.options.interval);
+    } else {
+      this.scheduleNext(job, job.options.runImmediately ? 0 : this.getDelay(job));
+    }
+
+    logger.log(`⏱️ Scheduled ${name} every ${Math.round(job.options.interval / 1000)}s`);
+    this.notifyChange();
+    return () => this.cancel(name);
+  }
+
+  cancel(name) {
+    const job = this.jobs.get(name);
+    if (!job) return false;
+
+    clearTimeout(job.timer);
+    job.state = JOB_STATES.CANCELLED;
+    this.jobs.delete(name);
+    this.notifyChange();
+    return true;
+  }
+
+  has(name) {
+    return this.jobs.has(name);
+  }
+
+  cancelAll() {
+    [...this.jobs.keys()].forEach(name => this.cancel(name));
+  }
+
+  // Run a job now and restart its interval from here
+  async runNow(name) {
+    const job = this.jobs.get(name);
+    if (!job || job.state === JOB_STATES.RUNNING) return false;
+
+    clearTimeout(job.timer);
+    return this.run(job);
+  }
+
+  // Timing
+  getDelay(job) {
+    const { interval, jitter, maxBackoff } = job.options;
+    const backoff = Math.min(interval * 2 ** job.consecutiveFailures, Math.max(interval, maxBackoff));
+    const spread = backoff * jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(backoff + spread));
+  }
+
+  scheduleNext(job, delay) {
+    clearTimeout(job.timer);
+    job.state = JOB_STATES.SCHEDULED;
+    job.nextRun = Date.now() + delay;
+    job.timer = setTimeout(() => this.run(job), delay);
+  }
+
+  async run(job) {
+    if (this.isPaused(job)) {
+      this.pauseJob(job);
+      return false;
+    }
+
+    // Followers keep their place in line without doing the work
+    if (job.options.leaderOnly && !tabCoordinator.isLeader()) {
+      this.scheduleNext(job, this.getDelay(job));
+      this.notifyChange();
+      return false;
+    }
+
+    job.state = JOB_STATES.RUNNING;
+    job.lastRun = Date.now();
+    job.runs++;
+    this.notifyChange();
+
+    let succeeded = false;
+    try {
+      const result = await job.task();
+      succeeded = result !== false && result?.success !== false;
+      job.lastError = succeeded ? null : (result?.error || result?.reason || 'Task reported failure');
+    } catch (error) {
+      job.lastError = error.message;
+    }
+
+    if (succeeded) {
+      job.consecutiveFailures = 0;
+    } else {
+      job.failures++;
+      job.consecutiveFailures++;
+      logger.warn(`⏱️ ${job.name} failed (${job.consecutiveFailures} in a row): ${job.lastError}`);
+    }
+
+    // Cancelled or replaced while running
+    if (this.jobs.get(job.name) !== job) return succeeded;
+
+    if (this.isPaused(job)) {
+      this.pauseJob(job);
+    } else {
+      this.scheduleNext(job, this.getDelay(job));
+    }
+    this.notifyChange();
+    return succeeded;
+  }
+
+  // Pausing
+  listen() {
+    if (this.isListening) return;
+    this.isListening = true;
+
+    document.addEventListener('visibilitychange', () => this.refreshPaused());
+    window.addEventListener('online', () => this.refreshPaused());
+    window.addEventListener('offline', () => this.refreshPaused());
+  }
+
+  getPauseReason(job) {
+    if (job.options.pauseWhenHidden && document.hidden) return 'hidden';
+    if (job.options.pauseWhenOffline && !navigator.onLine) return 'offline';
+    return null;
+  }
+
+  isPaused(job) {
+    return this.getPauseReason(job) !== null;
+  }
+
+  pauseJob(job) {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.state = JOB_STATES.PAUSED;
+  }
+
+  refreshPaused() {
+    this.jobs.forEach(job => {
+      if (job.state === JOB_STATES.RUNNING) return;
+
+      if (this.isPaused(job)) {
+        if (job.state !== JOB_STATES.PAUSED) this.pauseJob(job);
+      } else if (job.state === JOB_STATES.PAUSED) {
+        // Overdue jobs catch up, staggered so they don't all fire at once
+        const remaining = Math.max(0, job.nextRun - Date.now());
+        this.scheduleNext(job, remaining + Math.round(Math.random() * 1000));
+      }
+    });
+    this.notifyChange();
+  }
+
+  // Status
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  notifyChange() {
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(this.getStatus());
+      } catch (error) {
+        logger.error('Error in scheduler change callback:', error);
+      }
+    });
+  }
+
+  getStatus() {
+    return [...this.jobs.values()].map(job => ({
+      name: job.name,
+      state: job.state,
+      pauseReason: this.getPauseReason(job),
+      interval: job.options.interval,
+      leaderOnly: job.options.leaderOnly,
+      nextRun: job.state === JOB_STATES.SCHEDULED ? job.nextRun : null,
+      lastRun: job.lastRun,
+      lastError: job.lastError,
+      runs: job.runs,
+      failures: job.failures,
+      consecutiveFailures: job.consecutiveFailures
+    }));
+  }
+}
+
+// Shared across the app - one scheduler per tab
+const scheduler = new TaskScheduler();
+
+export default scheduler;
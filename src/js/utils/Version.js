@@ -0,0 +1,69 @@
+/**
+ * Version - Semantic version parsing and ordering (semver.org, section 11)
+ *
+ * Build IDs are versions with build metadata (1.2.0+build.123); metadata
+ * never affects ordering. Prereleases sort before their release:
+ * 1.0.0-alpha < 1.0.0-alpha.1 < 1.0.0-rc.1 < 1.0.0.
+ */
+
+const SEMVER_PATTERN = /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z.-]+)?$/;
+const NUMERIC_IDENTIFIER = /^\d+$/;
+
+/**
+ * Split a version into release numbers and prerelease identifiers
+ * @returns {{release: number[], prerelease: string[]}|null} Null when not semver
+ *   (e.g. the dev server's 'development' build ID)
+ */
+export function parseVersion(version) {
+  const match = SEMVER_PATTERN.exec(String(version ?? ''));
+  if (!match) return null;
+
+  return {
+    release: [Number(match[1]), Number(match[2]), Number(match[3])],
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+export function isValidVersion(version) {
+  return parseVersion(version) !== null;
+}
+
+// Numeric identifiers compare as numbers and sort before alphanumeric ones
+function compareIdentifiers(a, b) {
+  const aNumeric = NUMERIC_IDENTIFIER.test(a);
+  const bNumeric = NUMERIC_IDENTIFIER.test(b);
+
+  if (aNumeric && bNumeric) return Number(a) - Number(b);
+  if (aNumeric) return -1;
+  if (bNumeric) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function comparePrerelease(a, b) {
+  // A release outranks any of its prereleases
+  if (a.length === 0 || b.length === 0) return b.length - a.length;
+
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    const difference = compareIdentifiers(a[i], b[i]);
+    if (difference !== 0) return difference;
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Compare two versions or build IDs by semver precedence
+ * Anything that isn't semver sorts as 0.0.0 - check isValidVersion() first
+ * where that matters.
+ * @returns {number} Negative when a < b, positive when a > b, 0 when equal
+ */
+export function compareVersions(a, b) {
+  const left = parseVersion(a) || parseVersion('0.0.0');
+  const right = parseVersion(b) || parseVersion('0.0.0');
+
+  for (let i = 0; i < 3; i++) {
+    const difference = left.release[i] - right.release[i];
+    if (difference !== 0) return difference;
+  }
+
+  return comparePrerelease(left.prerelease, right.prerelease);
+}
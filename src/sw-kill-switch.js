@@ -0,0 +1,22 @@
+/**
+ * Kill-Switch Service Worker - Emergency replacement for sw.js
+ * Built with `npm run build:kill-switch` (see copyServiceWorker() in
+ * vite.config.js). It activates immediately, deletes every cache,
+ * unregisters itself and reloads open windows straight from the network.
+ * There is no fetch handler, so nothing is intercepted in the meantime.
+ */
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const cacheNames = await caches.keys();
+    await Promise.all(cacheNames.map(cacheName => caches.delete(cacheName)));
+    await self.registration.unregister();
+
+    const windowClients = await self.clients.matchAll({ type: 'window' });
+    await Promise.all(windowClients.map(client => client.navigate(client.url).catch(() => null)));
+  })());
+});
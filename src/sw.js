@@ -11,44 +11,105 @@ const isDev = () => {
 };
 
 const logger = {
-  log: (...args) => { if (isDev()) logger.log(...args); },
-  warn: (...args) => { if (isDev()) logger.warn(...args); },
-  error: (...args) => { logger.error(...args); }, // Always log errors
-  info: (emoji, ...args) => { if (isDev()) logger.log(emoji, ...args); }
+  log: (...args) => { if (isDev()) console.log(...args); },
+  warn: (...args) => { if (isDev()) console.warn(...args); },
+  error: (...args) => { console.error(...args); }, // Always log errors
+  info: (emoji, ...args) => { if (isDev()) console.log(emoji, ...args); }
 };
 
-const CACHE_VERSION = '1.0.0';
+// Build identifier - the build swaps the placeholder below for the ID it
+// stamps into build-info.json and the client bundle (see copyServiceWorker()
+// in vite.config.js). Every new build therefore rotates the versioned caches.
+const CACHE_VERSION = self.__BUILD_ID || 'development';
 const CACHE_NAME = `pwa-template-cache-${CACHE_VERSION}`;
 const STATIC_CACHE_NAME = `pwa-template-static-${CACHE_VERSION}`;
 const DYNAMIC_CACHE_NAME = `pwa-template-dynamic-${CACHE_VERSION}`;
 
-// Static assets to cache immediately
-// NOTE: Only cache files that exist after build (no hashed filenames)
-// JS/CSS assets with content hashes are cached dynamically via fetch event
-const STATIC_ASSETS = [
-  '/',
-  '/index.html',
-  '/manifest.json',
-  '/build-info.json',
-  '/assets/icon-192x192.png',
-  '/assets/icon-512x512.png',
-  '/assets/maskable-icon-192x192.png',
-  '/assets/maskable-icon-512x512.png'
+// Media saved for offline playback - unversioned so downloads survive deploys,
+// and only written through the SAVE_MEDIA message, never by routing
+const MEDIA_CACHE_NAME = 'pwa-template-media';
+const PERSISTENT_CACHES = [MEDIA_CACHE_NAME];
+
+// Rollback - the previous healthy build's static cache is kept for one
+// generation. Pages report a successful boot with REPORT_HEALTH; after
+// maxFailedBoots app-shell navigations in a row without one, the previous
+// build is served from that cache until the next build is installed.
+const ROLLBACK_CONFIG = {
+  maxFailedBoots: 3,
+  appShellPaths: ['/', '/index.html']
+};
+
+// Kill switch - a small JSON flag deployed next to the app, checked on app
+// launches (throttled, and never holding up the navigation) and when the page
+// checks for updates. When it is set the service worker removes itself: caches
+// are cleared, the registration is dropped and open windows reload from the network.
+const KILL_SWITCH_URL = '/sw-kill-switch.json';
+const KILL_SWITCH_CHECK_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const KILL_SWITCH_TIMEOUT = 5000; // A slow flag counts as not set
+
+// Cache Policies - per-cache expiration limits, keyed by cache name
+// Entry timestamps live in IndexedDB; the oldest entries are evicted on write
+// once a cache exceeds maxEntries or an entry is older than maxAgeSeconds
+const CACHE_POLICIES = {
+  [DYNAMIC_CACHE_NAME]: {
+    maxEntries: 100,
+    maxAgeSeconds: 7 * 24 * 60 * 60 // 7 days
+  }
+};
+
+// Offline fallbacks - precached and served when both cache and network fail
+const OFFLINE_PAGE_URL = '/offline.html';
+const OFFLINE_IMAGE_URL = '/assets/offline-image.svg';
+
+// Precache manifest - every emitted build asset with its content hash
+// The build swaps the placeholder below for the generated list (see
+// injectPrecacheManifest() in vite.config.js). In development the
+// placeholder is undefined, so fall back to the unhashed app shell.
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || [
+  { url: '/', revision: null },
+  { url: '/index.html', revision: null },
+  { url: '/manifest.json', revision: null },
+  { url: '/offline.html', revision: null },
+  { url: '/assets/offline-image.svg', revision: null },
+  { url: '/assets/icon-192x192.png', revision: null },
+  { url: '/assets/icon-512x512.png', revision: null },
+  { url: '/assets/maskable-icon-192x192.png', revision: null },
+  { url: '/assets/maskable-icon-512x512.png', revision: null }
 ];
 
-// Install Event - Cache static assets
+const PRECACHE_URLS = new Set(
+  PRECACHE_MANIFEST.map(entry => new URL(entry.url, self.location.origin).href)
+);
+
+// Install Event - Precache every asset in the manifest
+// Assets whose content hash still matches a copy in an earlier build's cache
+// are copied across, so an update only downloads new or changed files.
+// An updated worker then waits until the page sends SKIP_WAITING.
 self.addEventListener('install', (event) => {
   logger.log('🔧 Service Worker installing...');
   
   event.waitUntil(
     caches.open(STATIC_CACHE_NAME)
       .then(async (cache) => {
-        logger.log('📦 Caching static assets...');
+        logger.log(`📦 Precaching ${PRECACHE_MANIFEST.length} assets...`);
+        
+        const previousCaches = await getPrecacheCandidates();
+        let copied = 0;
+        let fetched = 0;
         
         // Cache assets individually to handle failures gracefully
-        const cachePromises = STATIC_ASSETS.map(async (url) => {
+        // cache: 'reload' bypasses the HTTP cache so unhashed files are fresh
+        const cachePromises = PRECACHE_MANIFEST.map(async ({ url, revision }) => {
           try {
-            await cache.add(url);
+            const unchanged = await findUnchangedAsset(previousCaches, url, revision);
+            if (unchanged) {
+              await cache.put(url, unchanged);
+              copied++;
+              return;
+            }
+            
+            await cache.add(new Request(url, { cache: 'reload' }));
+            fetched++;
             logger.log(`✅ Cached: ${url}`);
           } catch (error) {
             logger.warn(`⚠️ Failed to cache ${url}:`, error.message);
@@ -57,37 +118,79 @@ self.addEventListener('install', (event) => {
         });
         
         await Promise.all(cachePromises);
-        logger.log('✅ Service Worker install complete');
-        
-        // Force immediate activation
-        return self.skipWaiting();
+        logger.log(`✅ Service Worker install complete (${fetched} fetched, ${copied} unchanged)`);
       })
       .catch(error => {
         logger.error('❌ Failed to open cache:', error);
-        // Still skip waiting to avoid blocking
-        return self.skipWaiting();
       })
   );
 });
 
-// Activate Event - Clean up old caches
+// Static caches that may hold reusable copies: this build's own cache first
+// (a reinstall of the same build), then earlier builds, newest first
+async function getPrecacheCandidates() {
+  const cacheNames = await caches.keys();
+  const previous = cacheNames
+    .filter(cacheName => cacheName.startsWith('pwa-template-static-') && cacheName !== STATIC_CACHE_NAME)
+    .reverse();
+  return [STATIC_CACHE_NAME, ...previous];
+}
+
+// Find a cached copy of `url` whose content hash equals the manifest revision
+// Dev manifests have no revisions, so everything is fetched there
+async function findUnchangedAsset(cacheNames, url, revision) {
+  if (!revision) {
+    return null;
+  }
+  
+  for (const cacheName of cacheNames) {
+    const cache = await caches.open(cacheName);
+    const response = await cache.match(url);
+    if (response && await hashResponse(response.clone()) === revision) {
+      return response;
+    }
+  }
+  
+  return null;
+}
+
+// Same fingerprint the build uses for revisions: sha256, first 16 hex chars
+async function hashResponse(response) {
+  const digest = await crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+    .slice(0, 16);
+}
+
+// Activate Event - Clean up old caches and stale precache entries
 self.addEventListener('activate', (event) => {
   logger.log('🚀 Service Worker activating...');
   
   event.waitUntil(
-    caches.keys()
-      .then(cacheNames => {
+    updateBuildState()
+      .then(async (buildState) => {
+        // The previous healthy build's app shell stays available for rollback
+        const rollbackCacheName = buildState.previous ? getStaticCacheName(buildState.previous) : null;
+        const cacheNames = await caches.keys();
+        
         return Promise.all(
           cacheNames.map(cacheName => {
             // Delete old caches that don't match current version
             if (cacheName.startsWith('pwa-template-') && 
-                !cacheName.includes(CACHE_VERSION)) {
+                !cacheName.includes(CACHE_VERSION) &&
+                !PERSISTENT_CACHES.includes(cacheName) &&
+                cacheName !== rollbackCacheName) {
               logger.log('🗑️ Deleting old cache:', cacheName);
-              return caches.delete(cacheName);
+              return purgeCache(cacheName);
             }
           })
         );
       })
+      .then(() => enableNavigationPreload())
+      .then(() => prunePrecache())
+      .then(() => Promise.all(
+        Object.keys(CACHE_POLICIES).map(cacheName => enforceCachePolicy(cacheName))
+      ))
       .then(() => {
         logger.log('✅ Service Worker activated successfully');
         // Take control of all clients immediately
@@ -99,79 +202,349 @@ self.addEventListener('activate', (event) => {
   );
 });
 
+// Navigation preload starts the navigation request while the service worker
+// boots, so cold starts don't delay the page
+async function enableNavigationPreload() {
+  if (self.registration.navigationPreload) {
+    await self.registration.navigationPreload.enable();
+    logger.log('⚡ Navigation preload enabled');
+  }
+}
+
+// Remove static cache entries that are no longer in the precache manifest
+async function prunePrecache() {
+  const cache = await caches.open(STATIC_CACHE_NAME);
+  const requests = await cache.keys();
+  
+  await Promise.all(
+    requests
+      .filter(request => !PRECACHE_URLS.has(request.url))
+      .map(request => {
+        logger.log('🗑️ Removing stale precache entry:', request.url);
+        return cache.delete(request);
+      })
+  );
+}
+
+// Route Configuration - declare how each kind of request is handled
+// Routes are matched in order and the first match wins. `match` can be:
+// - a string: exact same-origin pathname, or a prefix when it ends with '*'
+// - a RegExp: tested against the pathname (same-origin) or the full URL
+// - a predicate: ({ url, request }) => boolean
+// Strategies: 'cache-first', 'network-first', 'stale-while-revalidate',
+// 'network-only', 'cache-only'. Non-GET routes must be 'network-only'.
+// Network-first routes accept `networkTimeoutSeconds`: once it expires the
+// cached response is served and the network request refreshes the cache
+// in the background. Network-only routes accept `backgroundSync: true`:
+// requests that fail to reach the network are queued in IndexedDB and
+// replayed in order when the 'background-sync' tag fires.
+// Cache-first routes accept `cacheResponses: false` to serve what is cached
+// without storing network responses.
+// `method` may be a single method or an array (default 'GET').
+// Range requests are answered from cached bodies with 206 responses.
+const ROUTES = [
+  // Build metadata always goes to the network - it drives update detection
+  { match: '/build-info.json', strategy: 'network-only' },
+  { match: KILL_SWITCH_URL, strategy: 'network-only' },
+  
+  // Page navigations (Network First, using the navigation preload response)
+  {
+    match: ({ request }) => request.mode === 'navigate',
+    strategy: 'network-first',
+    networkTimeoutSeconds: 3
+  },
+  
+  // Audio and video (Cache First from the media cache, filled by SAVE_MEDIA)
+  {
+    match: ({ url, request }) => request.destination === 'audio' ||
+      request.destination === 'video' ||
+      /\.(mp3|m4a|aac|ogg|oga|opus|wav|flac|mp4|m4v|webm|ogv|mov)$/.test(url.pathname),
+    strategy: 'cache-first',
+    cacheName: MEDIA_CACHE_NAME,
+    cacheResponses: false
+  },
+  
+  // Static assets (Cache First)
+  {
+    match: /\.(css|js|png|jpg|jpeg|gif|svg|ico|woff|woff2|ttf|eot)$/,
+    strategy: 'cache-first',
+    cacheName: STATIC_CACHE_NAME
+  },
+  
+  // Push subscription changes are never queued - a queued 202 would look
+  // like a confirmed (un)subscribe to NotificationManager, so fail with 503
+  {
+    match: '/api/push/*',
+    method: ['POST', 'PUT', 'PATCH', 'DELETE'],
+    strategy: 'network-only'
+  },
+  
+  // API writes (queued for Background Sync when offline)
+  {
+    match: '/api/*',
+    method: ['POST', 'PUT', 'PATCH', 'DELETE'],
+    strategy: 'network-only',
+    backgroundSync: true
+  },
+  
+  // API and cross-origin requests (Network First)
+  {
+    match: ({ url }) => url.pathname.startsWith('/api/') || url.hostname !== location.hostname,
+    strategy: 'network-first',
+    networkTimeoutSeconds: 5
+  },
+  
+  // Everything else (Stale While Revalidate)
+  { match: () => true, strategy: 'stale-while-revalidate' }
+];
+
+const STRATEGIES = {
+  'cache-first': cacheFirst,
+  'network-first': networkFirst,
+  'stale-while-revalidate': staleWhileRevalidate,
+  'network-only': networkOnly,
+  'cache-only': cacheOnly
+};
+
+const routes = [];
+
+// Sentinel resolved by the network-first timeout race
+const NETWORK_TIMEOUT = Symbol('network-timeout');
+
+// Register a route - see Route Configuration above for the match forms
+function registerRoute(match, strategy, options = {}) {
+  const methods = [].concat(options.method || 'GET').map(method => method.toUpperCase());
+  
+  if (!STRATEGIES[strategy]) {
+    throw new Error(`Unknown routing strategy: ${strategy}`);
+  }
+  
+  // The Cache API only stores GET responses
+  const nonGetMethods = methods.filter(method => method !== 'GET');
+  if (nonGetMethods.length > 0 && strategy !== 'network-only') {
+    throw new Error(`${nonGetMethods.join(', ')} routes must use the network-only strategy`);
+  }
+  
+  routes.push({
+    matcher: createMatcher(match),
+    methods,
+    strategy,
+    cacheName: options.cacheName || DYNAMIC_CACHE_NAME,
+    networkTimeoutSeconds: options.networkTimeoutSeconds || 0,
+    backgroundSync: !!options.backgroundSync,
+    cacheResponses: options.cacheResponses !== false
+  });
+}
+
+function createMatcher(match) {
+  if (typeof match === 'function') {
+    return match;
+  }
+  
+  if (match instanceof RegExp) {
+    return ({ url }) => match.test(url.origin === location.origin ? url.pathname : url.href);
+  }
+  
+  if (typeof match === 'string') {
+    if (match.endsWith('*')) {
+      const prefix = match.slice(0, -1);
+      return ({ url }) => url.origin === location.origin && url.pathname.startsWith(prefix);
+    }
+    return ({ url }) => url.origin === location.origin && url.pathname === match;
+  }
+  
+  throw new Error('Route match must be a string, RegExp or function');
+}
+
+function findRoute(request) {
+  const url = new URL(request.url);
+  return routes.find(route =>
+    route.methods.includes(request.method) && route.matcher({ url, request })
+  );
+}
+
+ROUTES.forEach(({ match, strategy, ...options }) => registerRoute(match, strategy, options));
+
 // Fetch Event - Handle all network requests
 self.addEventListener('fetch', (event) => {
   const { request } = event;
   const url = new URL(request.url);
   
-  // Skip non-GET requests
-  if (request.method !== 'GET') {
-    return;
-  }
-  
   // Skip chrome-extension and other non-http requests
   if (!url.protocol.startsWith('http')) {
     return;
   }
   
-  // Handle different types of requests
-  if (isStaticAsset(request)) {
-    event.respondWith(handleStaticAsset(request));
-  } else if (isAPIRequest(request)) {
-    event.respondWith(handleAPIRequest(request));
-  } else {
-    event.respondWith(handleDynamicRequest(request));
+  // Unrouted requests fall through to the browser's default handling
+  const route = findRoute(request);
+  if (!route) {
+    return;
   }
+  
+  event.respondWith(handleFetch(request, route, event));
 });
 
-// Handle static assets (Cache First strategy)
-async function handleStaticAsset(request) {
+// Run the route's strategy, serving the previous build instead while rolled back
+async function handleFetch(request, route, event) {
+  const buildState = await getBuildState();
+  
+  if (isAppShellNavigation(request) && Date.now() - lastKillSwitchCheck > KILL_SWITCH_CHECK_INTERVAL) {
+    event.waitUntil(checkKillSwitch());
+  }
+  
+  if (!buildState.rolledBack && isAppShellNavigation(request)) {
+    await recordBootAttempt(buildState);
+  }
+  
+  if (buildState.rolledBack && request.method === 'GET') {
+    const previousResponse = await matchPreviousBuild(request, buildState);
+    if (previousResponse) {
+      // Navigation preload already started the request - let it settle
+      // unused, or the browser warns that the preload was cancelled
+      if (event.preloadResponse) {
+        event.waitUntil(event.preloadResponse.catch(() => undefined));
+      }
+      return previousResponse;
+    }
+  }
+  
+  return STRATEGIES[route.strategy](request, route, event);
+}
+
+// Network fetch that prefers the navigation preload response when there is one
+async function fetchFromNetwork(request, event) {
+  const preloadResponse = event ? await event.preloadResponse : undefined;
+  if (preloadResponse) {
+    logger.log('⚡ Using navigation preload response:', request.url);
+    return preloadResponse;
+  }
+  
+  return fetch(request);
+}
+
+// Caches this build serves from, in lookup order. The previous build's
+// static cache is kept for rollback, and caches.match() would search it too
+// (oldest cache first) - so match these by name, and read the rollback cache
+// only through matchPreviousBuild() while rolled back.
+const CURRENT_BUILD_CACHES = [STATIC_CACHE_NAME, DYNAMIC_CACHE_NAME, MEDIA_CACHE_NAME];
+
+async function matchCurrentBuild(request) {
+  for (const cacheName of CURRENT_BUILD_CACHES) {
+    const cache = await caches.open(cacheName);
+    const response = await cache.match(request);
+    if (response) {
+      return response;
+    }
+  }
+  
+  return undefined;
+}
+
+// Offline fallback for a request that neither cache nor network can serve
+async function offlineFallback(request) {
+  if (request.mode === 'navigate') {
+    return matchCurrentBuild(OFFLINE_PAGE_URL);
+  }
+  
+  if (request.destination === 'image') {
+    return matchCurrentBuild(OFFLINE_IMAGE_URL);
+  }
+  
+  return undefined;
+}
+
+// Cache First strategy
+async function cacheFirst(request, route, event) {
   try {
     // Try cache first
-    const cachedResponse = await caches.match(request);
+    const cachedResponse = await matchCurrentBuild(request);
     if (cachedResponse) {
       logger.log('📦 Serving from cache:', request.url);
-      return cachedResponse;
+      return createRangeResponse(request, cachedResponse);
     }
     
     // If not in cache, fetch from network
-    const networkResponse = await fetch(request);
+    const networkResponse = await fetchFromNetwork(request, event);
     
     // Cache the response for future use
-    if (networkResponse.ok) {
-      const cache = await caches.open(STATIC_CACHE_NAME);
-      cache.put(request, networkResponse.clone());
+    if (networkResponse.ok && route.cacheResponses) {
+      putInCache(route.cacheName, request, networkResponse.clone());
     }
     
     return networkResponse;
   } catch (error) {
     logger.error('Failed to handle static asset:', request.url, error);
+    
+    const fallbackResponse = await offlineFallback(request);
+    if (fallbackResponse) {
+      return fallbackResponse;
+    }
+    
     return new Response('Asset not available', { status: 404 });
   }
 }
 
-// Handle API requests (Network First strategy)
-async function handleAPIRequest(request) {
+// Network First strategy
+async function networkFirst(request, route, event) {
+  // Cache successful responses
+  const networkPromise = fetchFromNetwork(request, event).then(networkResponse => {
+    if (networkResponse.ok) {
+      putInCache(route.cacheName, request, networkResponse.clone());
+    }
+    return networkResponse;
+  });
+  
   try {
-    // Try network first
-    const networkResponse = await fetch(request);
+    if (!route.networkTimeoutSeconds) {
+      return await networkPromise;
+    }
     
-    // Cache successful responses
-    if (networkResponse.ok) {
-      const cache = await caches.open(DYNAMIC_CACHE_NAME);
-      cache.put(request, networkResponse.clone());
+    // Race the network against the route's timeout
+    let timeoutId;
+    const timeoutPromise = new Promise(resolve => {
+      timeoutId = setTimeout(() => resolve(NETWORK_TIMEOUT), route.networkTimeoutSeconds * 1000);
+    });
+    const result = await Promise.race([networkPromise, timeoutPromise]);
+    clearTimeout(timeoutId);
+    
+    if (result !== NETWORK_TIMEOUT) {
+      return result;
     }
     
-    return networkResponse;
+    const cachedResponse = await matchCurrentBuild(request);
+    logger.log(`⏱️ Network timed out after ${route.networkTimeoutSeconds}s:`, request.url);
+    
+    postToClients({
+      action: 'NETWORK_TIMEOUT',
+      data: {
+        url: request.url,
+        timeoutSeconds: route.networkTimeoutSeconds,
+        servedFromCache: !!cachedResponse
+      }
+    }, event?.clientId);
+    
+    if (!cachedResponse) {
+      // Nothing to fall back to - keep waiting for the network
+      return await networkPromise;
+    }
+    
+    // Let the network request finish in the background to refresh the cache
+    event?.waitUntil(networkPromise.catch(() => null));
+    return cachedResponse;
   } catch (error) {
     logger.log('🌐 Network failed, trying cache for API:', request.url);
     
     // If network fails, try cache
-    const cachedResponse = await caches.match(request);
+    const cachedResponse = await matchCurrentBuild(request);
     if (cachedResponse) {
       return cachedResponse;
     }
     
+    const fallbackResponse = await offlineFallback(request);
+    if (fallbackResponse) {
+      return fallbackResponse;
+    }
+    
     // Return offline response
     return new Response(JSON.stringify({
       error: 'Offline',
@@ -183,20 +556,17 @@ async function handleAPIRequest(request) {
   }
 }
 
-// Handle dynamic requests (Stale While Revalidate strategy)
-async function handleDynamicRequest(request) {
+// Stale While Revalidate strategy
+async function staleWhileRevalidate(request, route, event) {
   try {
     // Try cache first for speed
-    const cachedResponse = await caches.match(request);
+    const cachedResponse = await matchCurrentBuild(request);
     
     // Fetch from network in background
-    const networkPromise = fetch(request).then(networkResponse => {
+    const networkPromise = fetchFromNetwork(request, event).then(networkResponse => {
       if (networkResponse.ok) {
         // Clone BEFORE using the response to avoid "body already used" error
-        const responseToCache = networkResponse.clone();
-        caches.open(DYNAMIC_CACHE_NAME).then(cache => {
-          cache.put(request, responseToCache);
-        });
+        putInCache(route.cacheName, request, networkResponse.clone());
       }
       return networkResponse;
     }).catch(() => null);
@@ -213,134 +583,664 @@ async function handleDynamicRequest(request) {
       return networkResponse;
     }
     
-    // If both fail, return offline page
-    return new Response('Page not available offline', {
-      status: 503,
-      headers: { 'Content-Type': 'text/html' }
-    });
+    // If both fail, return the offline fallback
+    const fallbackResponse = await offlineFallback(request);
+    if (fallbackResponse) {
+      return fallbackResponse;
+    }
+    
+    return new Response('Not available offline', { status: 503 });
   } catch (error) {
     logger.error('Failed to handle dynamic request:', request.url, error);
     return new Response('Request failed', { status: 500 });
   }
 }
 
-// Helper functions
-function isStaticAsset(request) {
-  const url = new URL(request.url);
-  return url.pathname.match(/\.(css|js|png|jpg|jpeg|gif|svg|ico|woff|woff2|ttf|eot)$/);
+// Network Only strategy
+async function networkOnly(request, route, event) {
+  // fetch() consumes the body, so keep a copy in case it has to be queued
+  const queueCopy = route.backgroundSync ? request.clone() : null;
+  
+  try {
+    return await fetchFromNetwork(request, event);
+  } catch (error) {
+    logger.log('🌐 Network failed for network-only route:', request.url);
+    
+    if (queueCopy) {
+      return queueRequest(queueCopy, event?.clientId);
+    }
+    
+    return new Response('Network unavailable', { status: 503 });
+  }
 }
 
-function isAPIRequest(request) {
-  const url = new URL(request.url);
-  return url.pathname.startsWith('/api/') || url.hostname !== location.hostname;
+// Cache Only strategy
+async function cacheOnly(request) {
+  const cachedResponse = await matchCurrentBuild(request);
+  if (cachedResponse) {
+    return createRangeResponse(request, cachedResponse);
+  }
+  
+  return new Response('Not found in cache', { status: 404 });
 }
 
-// Message handling for cache busting
-self.addEventListener('message', (event) => {
-  const { action, data } = event.data;
+// Range requests - media elements ask for byte ranges, and the Cache API
+// matches them against the full cached response. Slice that response into a
+// 206 so seeking and playback work offline. Multi-range requests fall back
+// to the full response, which RFC 9110 allows.
+async function createRangeResponse(request, response) {
+  const rangeHeader = request.headers.get('Range');
+  if (!rangeHeader || response.status !== 200) {
+    return response;
+  }
   
-  switch (action) {
-    case 'SKIP_WAITING':
-      self.skipWaiting();
-      break;
-      
-    case 'CACHE_BUST':
-      handleCacheBust(data);
-      break;
-      
-    case 'CLEAR_CACHE':
-      clearAllCaches();
-      break;
-      
-    case 'GET_CACHE_STATUS':
-      getCacheStatus().then(status => {
-        event.ports[0].postMessage({ action: 'CACHE_STATUS', data: status });
-      });
-      break;
-      
-    default:
-      logger.log('Unknown message action:', action);
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+  if (!match || (!match[1] && !match[2])) {
+    return response;
   }
-});
+  
+  const body = await response.blob();
+  const size = body.size;
+  let start;
+  let end;
+  
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  
+  if (start >= size || start > end) {
+    return new Response(null, {
+      status: 416,
+      statusText: 'Range Not Satisfiable',
+      headers: { 'Content-Range': `bytes */${size}` }
+    });
+  }
+  
+  const headers = new Headers(response.headers);
+  headers.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  headers.set('Content-Length', String(end - start + 1));
+  headers.set('Accept-Ranges', 'bytes');
+  
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers
+  });
+}
 
-// Handle cache busting
-async function handleCacheBust(data) {
+// Cache writes - every runtime cache.put goes through here so expiration
+// policies are enforced and quota errors purge the dynamic cache
+async function putInCache(cacheName, request, response) {
+  // Partial (206) responses can't be stored - only full bodies are cached
+  if (response.status === 206) {
+    return;
+  }
+  
+  // Keep a copy in case the first attempt fails and has to be retried
+  const retryResponse = response.clone();
+  
   try {
-    const { strategy, resources } = data;
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response);
+  } catch (error) {
+    if (!isQuotaExceededError(error)) {
+      logger.error('Failed to write to cache:', request.url, error);
+      return;
+    }
     
-    switch (strategy) {
-      case 'version-bump':
-        await handleVersionBump();
-        break;
-        
-      case 'signature-invalidation':
-        await handleSignatureInvalidation(resources);
-        break;
-        
-      case 'selective-clear':
-        await handleSelectiveClear(resources);
-        break;
-        
-      default:
-        logger.log('Unknown cache bust strategy:', strategy);
+    logger.warn('⚠️ Storage quota exceeded, purging dynamic cache...');
+    await purgeCache(DYNAMIC_CACHE_NAME);
+    
+    try {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, retryResponse);
+    } catch (retryError) {
+      logger.error('❌ Cache write failed after purge:', request.url, retryError);
+      return;
     }
+  }
+  
+  if (CACHE_POLICIES[cacheName]) {
+    try {
+      await recordCacheEntry(cacheName, request.url);
+      await enforceCachePolicy(cacheName);
+    } catch (error) {
+      logger.error('Failed to enforce cache policy:', cacheName, error);
+    }
+  }
+}
+
+function isQuotaExceededError(error) {
+  return error && (error.name === 'QuotaExceededError' || error.code === 22);
+}
+
+// IndexedDB - service worker database (cache expiration timestamps, the
+// offline request queue and build health for rollback)
+const SW_DB_NAME = 'pwa-template-sw';
+const SW_DB_VERSION = 3;
+const EXPIRATION_STORE = 'cache-expiration';
+const QUEUE_STORE = 'request-queue';
+const BUILD_STATE_STORE = 'build-state';
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SW_DB_NAME, SW_DB_VERSION);
     
-    // Notify clients of cache update
-    const clients = await self.clients.matchAll();
-    clients.forEach(client => {
-      client.postMessage({
-        action: 'CACHE_UPDATED',
-        strategy: strategy
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(EXPIRATION_STORE)) {
+        const store = db.createObjectStore(EXPIRATION_STORE, { keyPath: 'id' });
+        store.createIndex('cacheName', 'cacheName');
+      }
+      if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+        // Auto-incrementing keys preserve the order requests were queued in
+        db.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(BUILD_STATE_STORE)) {
+        db.createObjectStore(BUILD_STATE_STORE, { keyPath: 'key' });
+      }
+    };
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(storeName, mode, callback) {
+  const db = await openDatabase();
+  try {
+    const transaction = db.transaction(storeName, mode);
+    const complete = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await callback(transaction.objectStore(storeName));
+    await complete;
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+// App data written by the page's StorageManager (IndexedDBBackend in
+// src/js/utils/StorageBackends.js) - same database, version and store
+const APP_DB_NAME = 'pwa-template';
+const APP_DB_VERSION = 1;
+const APP_RECORD_STORE = 'records';
+const SETTINGS_RECORD_KEY = 'pwa_template_settings';
+// Set by the page once it has signed in (StorageManager.setApiToken())
+const API_TOKEN_RECORD_KEY = 'pwa_template_api_token';
+
+function openAppDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(APP_DB_NAME, APP_DB_VERSION);
+    
+    // The service worker may open it before any page has
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(APP_RECORD_STORE)) {
+        db.createObjectStore(APP_RECORD_STORE, { keyPath: 'key' });
+      }
+    };
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function getAppRecord(key) {
+  const db = await openAppDatabase();
+  try {
+    const store = db.transaction(APP_RECORD_STORE, 'readonly').objectStore(APP_RECORD_STORE);
+    const record = await promisifyRequest(store.get(key));
+    return record ? record.value : undefined;
+  } finally {
+    db.close();
+  }
+}
+
+async function recordCacheEntry(cacheName, url) {
+  await withStore(EXPIRATION_STORE, 'readwrite', store =>
+    promisifyRequest(store.put({ id: `${cacheName}|${url}`, cacheName, url, timestamp: Date.now() }))
+  );
+}
+
+// Evict expired entries, then the oldest entries beyond maxEntries
+async function enforceCachePolicy(cacheName) {
+  const policy = CACHE_POLICIES[cacheName];
+  if (!policy) return;
+  
+  const entries = await withStore(EXPIRATION_STORE, 'readonly', store =>
+    promisifyRequest(store.index('cacheName').getAll(cacheName))
+  );
+  entries.sort((a, b) => a.timestamp - b.timestamp);
+  
+  const now = Date.now();
+  const expired = policy.maxAgeSeconds
+    ? entries.filter(entry => now - entry.timestamp > policy.maxAgeSeconds * 1000)
+    : [];
+  const remaining = entries.filter(entry => !expired.includes(entry));
+  const overflow = policy.maxEntries && remaining.length > policy.maxEntries
+    ? remaining.slice(0, remaining.length - policy.maxEntries)
+    : [];
+  const evicted = [...expired, ...overflow];
+  
+  if (evicted.length === 0) return;
+  
+  const cache = await caches.open(cacheName);
+  await Promise.all(evicted.map(entry => cache.delete(entry.url)));
+  await withStore(EXPIRATION_STORE, 'readwrite', store =>
+    Promise.all(evicted.map(entry => promisifyRequest(store.delete(entry.id))))
+  );
+  
+  logger.log(`🗑️ Evicted ${evicted.length} entries from ${cacheName}`);
+}
+
+// Delete a cache and its expiration records
+async function purgeCache(cacheName) {
+  await caches.delete(cacheName);
+  
+  try {
+    await withStore(EXPIRATION_STORE, 'readwrite', async store => {
+      const keys = await promisifyRequest(store.index('cacheName').getAllKeys(cacheName));
+      await Promise.all(keys.map(key => promisifyRequest(store.delete(key))));
+    });
+  } catch (error) {
+    logger.error('Failed to clear expiration records:', cacheName, error);
+  }
+  
+  logger.log('🗑️ Purged cache:', cacheName);
+}
+
+// Build health - which build is running, which one to roll back to and how
+// many boots of the running build went unconfirmed
+const BUILD_STATE_KEY = 'builds';
+let buildStatePromise = null;
+
+function getStaticCacheName(version) {
+  return `pwa-template-static-${version}`;
+}
+
+function getBuildState() {
+  if (!buildStatePromise) {
+    buildStatePromise = withStore(BUILD_STATE_STORE, 'readonly', store =>
+      promisifyRequest(store.get(BUILD_STATE_KEY))
+    )
+      .catch(error => {
+        logger.error('Failed to read build state:', error);
+        return null;
+      })
+      .then(state => state || {
+        key: BUILD_STATE_KEY,
+        current: null,
+        previous: null,
+        healthy: false,
+        pendingBoots: 0,
+        rolledBack: false
       });
+  }
+  return buildStatePromise;
+}
+
+async function saveBuildState(state) {
+  buildStatePromise = Promise.resolve(state);
+  try {
+    await withStore(BUILD_STATE_STORE, 'readwrite', store => store.put(state));
+  } catch (error) {
+    logger.error('Failed to save build state:', error);
+  }
+}
+
+// On activation the outgoing build becomes the rollback target, but only
+// if it ever booted successfully
+async function updateBuildState() {
+  const state = await getBuildState();
+  if (state.current === CACHE_VERSION) {
+    return state;
+  }
+  
+  const previous = state.current && state.healthy ? state.current : state.previous;
+  const nextState = {
+    key: BUILD_STATE_KEY,
+    current: CACHE_VERSION,
+    previous: previous !== CACHE_VERSION ? previous : null,
+    healthy: false,
+    pendingBoots: 0,
+    rolledBack: false
+  };
+  await saveBuildState(nextState);
+  return nextState;
+}
+
+function isAppShellNavigation(request) {
+  const url = new URL(request.url);
+  return request.mode === 'navigate' &&
+    url.origin === self.location.origin &&
+    ROLLBACK_CONFIG.appShellPaths.includes(url.pathname);
+}
+
+// Every app-shell navigation is a boot attempt; REPORT_HEALTH resets the count
+async function recordBootAttempt(state) {
+  if (state.pendingBoots >= ROLLBACK_CONFIG.maxFailedBoots &&
+      state.previous &&
+      await caches.has(getStaticCacheName(state.previous))) {
+    state.rolledBack = true;
+    await saveBuildState(state);
+    logger.error(`❌ Build ${CACHE_VERSION} failed to boot ${state.pendingBoots} times, rolling back to ${state.previous}`);
+    
+    await postToClients({
+      action: 'BUILD_ROLLED_BACK',
+      data: getRollbackStatus(state)
     });
+    return;
+  }
+  
+  state.pendingBoots++;
+  await saveBuildState(state);
+}
+
+async function matchPreviousBuild(request, state) {
+  const cache = await caches.open(getStaticCacheName(state.previous));
+  const response = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+  if (response || !isAppShellNavigation(request)) {
+    return response;
+  }
+  
+  return cache.match('/index.html');
+}
+
+// A page finished booting. Only the running build's own report counts -
+// a page of the previous build served during rollback just learns the status.
+async function recordHealthyBoot(buildId) {
+  const state = await getBuildState();
+  
+  if (buildId === CACHE_VERSION) {
+    // Includes a boot that bypassed the service worker (hard reload),
+    // which proves the new build works after all
+    state.healthy = true;
+    state.pendingBoots = 0;
+    state.rolledBack = false;
+    await saveBuildState(state);
+  }
+  
+  return getRollbackStatus(state);
+}
+
+function getRollbackStatus(state) {
+  return {
+    version: CACHE_VERSION,
+    rolledBack: state.rolledBack,
+    servingBuild: state.rolledBack ? state.previous : CACHE_VERSION,
+    failedBuild: state.rolledBack ? CACHE_VERSION : null,
+    failedBoots: state.pendingBoots
+  };
+}
+
+// Zero on every worker start, so the first app-shell navigation checks the flag
+// (activation doesn't wait for it - fetches are held until activation ends)
+let lastKillSwitchCheck = 0;
+
+// A missing, unreadable, unreachable or slow flag keeps the service worker running
+async function checkKillSwitch() {
+  lastKillSwitchCheck = Date.now();
+  
+  let flag = null;
+  try {
+    const response = await fetch(KILL_SWITCH_URL, {
+      cache: 'no-store',
+      signal: AbortSignal.timeout(KILL_SWITCH_TIMEOUT)
+    });
+    if (response.ok) {
+      flag = await response.json();
+    }
   } catch (error) {
-    logger.error('Cache bust failed:', error);
+    logger.log('Kill switch flag unavailable:', error.message);
+  }
+  
+  if (flag?.killSwitch !== true) {
+    return { killSwitch: false };
   }
+  
+  await engageKillSwitch(flag);
+  return { killSwitch: true, reason: flag.reason || null };
 }
 
-async function handleVersionBump() {
-  // Create new cache with incremented version
-  const newVersion = incrementVersion(CACHE_VERSION);
-  const newCacheName = `pwa-template-cache-${newVersion}`;
+async function engageKillSwitch(flag) {
+  logger.error('🛑 Kill switch engaged:', flag.reason || 'no reason given');
   
-  // Copy current cache to new cache
-  const currentCache = await caches.open(CACHE_NAME);
-  const newCache = await caches.open(newCacheName);
+  await clearAllCaches();
+  await self.registration.unregister();
   
-  const requests = await currentCache.keys();
+  // Navigations after unregister() bypass this worker
+  const windowClients = await clients.matchAll({ type: 'window' });
   await Promise.all(
-    requests.map(request => 
-      currentCache.match(request).then(response => 
-        newCache.put(request, response)
-      )
-    )
+    windowClients.map(client => client.navigate(client.url).catch(() => null))
+  );
+}
+
+// Post a message to one client (when known) or to every window client
+async function postToClients(message, clientId) {
+  try {
+    const client = clientId ? await self.clients.get(clientId) : null;
+    const targets = client ? [client] : await self.clients.matchAll({ type: 'window' });
+    targets.forEach(target => target.postMessage(message));
+  } catch (error) {
+    logger.error('Failed to post message to clients:', error);
+  }
+}
+
+// Message handling - request/response protocol shared with the page
+// Mirrors src/js/service-workers/ServiceWorkerMessenger.js:
+//   Request:  { type: 'request', id, action, payload }
+//   Response: { type: 'response', id, action, ok, result | error: { name, message } }
+// Unsolicited notifications to the page stay { action, data }.
+const MESSAGE_TYPES = {
+  REQUEST: 'request',
+  RESPONSE: 'response'
+};
+
+// Each handler receives (payload, event) and returns the reply result
+const MESSAGE_HANDLERS = {
+  SKIP_WAITING: async () => {
+    await self.skipWaiting();
+    return { skipped: true };
+  },
+  CACHE_BUST: (payload) => handleCacheBust(payload),
+  CLEAR_CACHE: () => clearAllCaches(),
+  GET_CACHE_STATUS: () => getCacheStatus(),
+  GET_VERSION: () => ({ version: CACHE_VERSION }),
+  GET_PRECACHE_MANIFEST: () => ({ version: CACHE_VERSION, manifest: PRECACHE_MANIFEST }),
+  REPORT_HEALTH: (payload) => recordHealthyBoot(payload.buildId),
+  CHECK_KILL_SWITCH: () => checkKillSwitch(),
+  CHECK_FRESHNESS: () => checkRuntimeCacheFreshness(),
+  REPLAY_QUEUE: () => replayQueuedRequests(),
+  SAVE_MEDIA: (payload) => saveMedia(payload.url),
+  REMOVE_MEDIA: (payload) => removeMedia(payload.url),
+  LIST_MEDIA: () => listMedia(),
+  REFRESH_CONTENT: () => refreshContent()
+};
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+  
+  if (message.type === MESSAGE_TYPES.REQUEST) {
+    event.waitUntil(handleRequestMessage(event, message));
+    return;
+  }
+  
+  // Fire-and-forget { action, data } messages
+  const handler = MESSAGE_HANDLERS[message.action];
+  if (!handler) {
+    logger.log('Unknown message action:', message.action);
+    return;
+  }
+  
+  event.waitUntil(
+    Promise.resolve()
+      .then(() => handler(message.data || {}, event))
+      .catch(error => logger.error(`Message ${message.action} failed:`, error))
   );
+});
+
+async function handleRequestMessage(event, message) {
+  const { id, action, payload } = message;
+  let reply;
+  
+  try {
+    const handler = MESSAGE_HANDLERS[action];
+    if (!handler) {
+      throw new Error(`Unknown message action: ${action}`);
+    }
+    
+    const result = await handler(payload || {}, event);
+    reply = { type: MESSAGE_TYPES.RESPONSE, id, action, ok: true, result: result ?? null };
+  } catch (error) {
+    logger.error(`Message ${action} failed:`, error);
+    reply = {
+      type: MESSAGE_TYPES.RESPONSE,
+      id,
+      action,
+      ok: false,
+      error: { name: error.name || 'Error', message: error.message || String(error) }
+    };
+  }
   
-  logger.log('Cache version bumped to:', newVersion);
+  // Reply on the transferred port when there is one, otherwise to the sender
+  const replyTarget = event.ports?.[0] || event.source;
+  if (replyTarget) {
+    replyTarget.postMessage(reply);
+  }
 }
 
-async function handleSignatureInvalidation(resources) {
-  // Invalidate specific resources
-  const cache = await caches.open(DYNAMIC_CACHE_NAME);
+// Handle cache busting
+// Each strategy reports the resources it actually removed from a cache
+async function handleCacheBust(data) {
+  const { strategy, resources = [] } = data;
+  let invalidated;
   
-  for (const resource of resources) {
-    await cache.delete(resource);
-    logger.log('Invalidated resource:', resource);
+  switch (strategy) {
+    case 'version-bump':
+      invalidated = await handleVersionBump();
+      break;
+      
+    case 'signature-invalidation':
+      invalidated = await handleSignatureInvalidation(resources);
+      break;
+      
+    case 'selective-clear':
+      invalidated = await handleSelectiveClear(resources);
+      break;
+      
+    default:
+      throw new Error(`Unknown cache bust strategy: ${strategy}`);
   }
+  
+  // Notify clients of cache update
+  await postToClients({
+    action: 'CACHE_UPDATED',
+    data: { strategy, resources, invalidated }
+  });
+  
+  return { strategy, resources, invalidated };
+}
+
+// A new build ships a new service worker - check for it instead of
+// renaming caches in place. The waiting worker takes over on SKIP_WAITING.
+async function handleVersionBump() {
+  await self.registration.update();
+  logger.log('Checked for a new service worker build');
+  return [];
+}
+
+async function handleSignatureInvalidation(resources) {
+  // Invalidate specific resources whose content changed in the deployed build
+  return deleteFromCaches([STATIC_CACHE_NAME, DYNAMIC_CACHE_NAME], resources);
 }
 
 async function handleSelectiveClear(resources) {
   // Clear specific resources from all caches
-  const cacheNames = await caches.keys();
+  const invalidated = await deleteFromCaches(await caches.keys(), resources);
+  logger.log('Selectively cleared resources:', invalidated);
+  return invalidated;
+}
+
+// Delete resources from the given caches; returns the URLs that were cached
+async function deleteFromCaches(cacheNames, resources) {
+  const invalidated = new Set();
   
   for (const cacheName of cacheNames) {
     const cache = await caches.open(cacheName);
     for (const resource of resources) {
-      await cache.delete(resource);
+      const url = new URL(resource, self.location.origin).href;
+      if (await cache.delete(url)) {
+        invalidated.add(url);
+        logger.log('Invalidated resource:', url);
+      }
+    }
+  }
+  
+  return [...invalidated];
+}
+
+// Revalidate runtime-cached responses with their validators (ETag or
+// Last-Modified). Reports stale entries without deleting them so the page
+// decides what to invalidate. Entries without validators are skipped.
+async function checkRuntimeCacheFreshness() {
+  const cache = await caches.open(DYNAMIC_CACHE_NAME);
+  const requests = await cache.keys();
+  const stale = [];
+  let checked = 0;
+  let skipped = 0;
+  
+  for (const request of requests) {
+    const cachedResponse = await cache.match(request);
+    const etag = cachedResponse?.headers.get('ETag');
+    const lastModified = cachedResponse?.headers.get('Last-Modified');
+    
+    if (new URL(request.url).origin !== self.location.origin || (!etag && !lastModified)) {
+      skipped++;
+      continue;
+    }
+    
+    const headers = {};
+    if (etag) headers['If-None-Match'] = etag;
+    if (lastModified) headers['If-Modified-Since'] = lastModified;
+    
+    try {
+      const response = await fetch(request.url, { headers, cache: 'no-store' });
+      if (response.status >= 500) {
+        skipped++;
+        continue;
+      }
+      
+      // Servers that ignore validators answer 200 - compare the ETag instead
+      checked++;
+      const unchanged = response.status === 304 ||
+        (response.ok && !!etag && response.headers.get('ETag') === etag);
+      if (!unchanged) {
+        stale.push(request.url);
+      }
+    } catch (error) {
+      logger.warn('⚠️ Could not revalidate:', request.url);
+      skipped++;
     }
   }
   
-  logger.log('Selectively cleared resources:', resources);
+  logger.log(`🔍 Revalidated ${checked} cached responses, ${stale.length} stale`);
+  return { checked, skipped, stale };
 }
 
 async function clearAllCaches() {
@@ -349,6 +1249,7 @@ async function clearAllCaches() {
     cacheNames.map(cacheName => caches.delete(cacheName))
   );
   logger.log('All caches cleared');
+  return { cleared: cacheNames };
 }
 
 async function getCacheStatus() {
@@ -367,10 +1268,44 @@ async function getCacheStatus() {
   return status;
 }
 
-function incrementVersion(version) {
-  const parts = version.split('.');
-  const patch = parseInt(parts[2]) + 1;
-  return `${parts[0]}.${parts[1]}.${patch}`;
+// Offline media - download whole files into the media cache
+async function saveMedia(url) {
+  if (!url) {
+    throw new Error('SAVE_MEDIA requires a url');
+  }
+  
+  const request = new Request(new URL(url, self.location.origin).href);
+  // No Range header, so the server sends the full body
+  const response = await fetch(request, { cache: 'no-store' });
+  if (response.status !== 200) {
+    throw new Error(`Failed to download ${request.url}: ${response.status} ${response.statusText}`);
+  }
+  
+  // Size from the header - reading the body back would hold the whole file in memory
+  const contentLength = Number(response.headers.get('Content-Length'));
+  const size = Number.isFinite(contentLength) && contentLength > 0 ? contentLength : null;
+  
+  const cache = await caches.open(MEDIA_CACHE_NAME);
+  await cache.put(request, response);
+  
+  logger.log(`🎵 Saved media for offline use (${size ?? 'unknown'} bytes):`, request.url);
+  return { url: request.url, size };
+}
+
+async function removeMedia(url) {
+  if (!url) {
+    throw new Error('REMOVE_MEDIA requires a url');
+  }
+  
+  const cache = await caches.open(MEDIA_CACHE_NAME);
+  const removed = await cache.delete(new URL(url, self.location.origin).href);
+  return { removed };
+}
+
+async function listMedia() {
+  const cache = await caches.open(MEDIA_CACHE_NAME);
+  const requests = await cache.keys();
+  return { urls: requests.map(request => request.url) };
 }
 
 // Background sync for offline actions
@@ -383,46 +1318,234 @@ self.addEventListener('sync', (event) => {
 });
 
 async function doBackgroundSync() {
-  try {
-    // Perform background sync operations
-    logger.log('Performing background sync...');
-    
-    // Example: Sync offline data
-    const offlineData = await getOfflineData();
-    if (offlineData.length > 0) {
-      await syncOfflineData(offlineData);
+  logger.log('Performing background sync...');
+  
+  const result = await replayQueuedRequests();
+  logger.log('Background sync completed:', result);
+  
+  // Rejecting asks the browser to fire the sync event again later
+  if (result.remaining > 0) {
+    throw new Error(`${result.remaining} queued requests still pending`);
+  }
+}
+
+// Periodic Background Sync - refresh API content while the app is closed so
+// the next launch (even offline) reads fresh responses from the dynamic cache.
+// The page registers the tag; where the browser doesn't grant it, the page
+// sends REFRESH_CONTENT on a timer instead.
+const PERIODIC_SYNC_TAG = 'content-refresh';
+const CONTENT_REFRESH_CONFIG = {
+  // `auth: true` sends the page's API token (if it has stored one) as a
+  // bearer token - no credential is ever built into the worker
+  routes: [
+    { url: '/api/demo-data', auth: true }
+  ],
+  timeoutSeconds: 15
+};
+
+self.addEventListener('periodicsync', (event) => {
+  logger.log('🔄 Periodic sync triggered:', event.tag);
+  
+  if (event.tag === PERIODIC_SYNC_TAG) {
+    event.waitUntil(refreshContent());
+  }
+});
+
+async function refreshContent() {
+  const refreshed = [];
+  const failed = [];
+  
+  // The page's settings live in the shared app database
+  const settings = await getAppRecord(SETTINGS_RECORD_KEY).catch(() => undefined);
+  if (settings?.backgroundRefresh === false) {
+    logger.log('Background refresh is turned off in settings');
+    return { refreshed, failed, skipped: true };
+  }
+  
+  const token = await getAppRecord(API_TOKEN_RECORD_KEY).catch(() => undefined);
+  
+  for (const route of CONTENT_REFRESH_CONFIG.routes) {
+    try {
+      const headers = { ...route.headers };
+      if (route.auth && token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+      
+      const response = await fetch(route.url, {
+        headers,
+        cache: 'no-store',
+        signal: AbortSignal.timeout(CONTENT_REFRESH_CONFIG.timeoutSeconds * 1000)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      await putInCache(DYNAMIC_CACHE_NAME, new Request(route.url), response);
+      refreshed.push(route.url);
+    } catch (error) {
+      logger.warn('⚠️ Content refresh failed:', route.url, error.message);
+      failed.push(route.url);
     }
-    
-    logger.log('Background sync completed');
+  }
+  
+  logger.log(`🔄 Refreshed ${refreshed.length} of ${CONTENT_REFRESH_CONFIG.routes.length} content routes`);
+  return { refreshed, failed };
+}
+
+// Offline Request Queue - failed writes are serialized to IndexedDB and
+// replayed in order with exponential backoff; stale entries are dropped
+const QUEUE_CONFIG = {
+  maxRetries: 5,
+  retryDelaySeconds: 30, // Doubles after every failed attempt
+  maxAgeMinutes: 24 * 60 // Drop requests older than a day
+};
+
+let queueReplay = null;
+
+async function queueRequest(request, clientId) {
+  const entry = {
+    url: request.url,
+    method: request.method,
+    headers: [...request.headers.entries()],
+    body: await request.arrayBuffer(),
+    credentials: request.credentials,
+    timestamp: Date.now(),
+    attempts: 0,
+    nextAttemptAt: 0
+  };
+  
+  const id = await withStore(QUEUE_STORE, 'readwrite', store =>
+    promisifyRequest(store.add(entry))
+  );
+  logger.log(`📥 Queued ${entry.method} ${entry.url} for background sync`);
+  
+  await registerBackgroundSync();
+  postToClients({ action: 'REQUEST_QUEUED', data: { id, url: entry.url, method: entry.method } }, clientId);
+  
+  return new Response(JSON.stringify({
+    queued: true,
+    id,
+    message: 'Request queued and will be sent when back online'
+  }), {
+    status: 202,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+async function registerBackgroundSync() {
+  if (!self.registration.sync) {
+    // No Sync API - the page replays the queue on its 'online' event
+    return;
+  }
+  
+  try {
+    await self.registration.sync.register('background-sync');
   } catch (error) {
-    logger.error('Background sync failed:', error);
+    logger.warn('⚠️ Background sync registration failed:', error.message);
   }
 }
 
-async function getOfflineData() {
-  // Get data stored while offline
-  return [];
+async function getQueuedRequests() {
+  return withStore(QUEUE_STORE, 'readonly', store => promisifyRequest(store.getAll()));
 }
 
-async function syncOfflineData(data) {
-  // Sync offline data with server
-  logger.log('Syncing offline data:', data);
+// Replay queued requests in order, stopping at the first one that fails so
+// later requests never overtake earlier ones. Concurrent callers share a run.
+function replayQueuedRequests() {
+  if (!queueReplay) {
+    queueReplay = runQueueReplay().finally(() => {
+      queueReplay = null;
+    });
+  }
+  return queueReplay;
+}
+
+async function runQueueReplay() {
+  const entries = await getQueuedRequests();
+  const result = { replayed: 0, dropped: 0, remaining: entries.length };
+  
+  for (const entry of entries) {
+    const now = Date.now();
+    
+    if (now - entry.timestamp > QUEUE_CONFIG.maxAgeMinutes * 60 * 1000) {
+      logger.warn(`⚠️ Dropping expired queued request: ${entry.method} ${entry.url}`);
+      await deleteQueuedRequest(entry.id);
+      result.dropped++;
+      result.remaining--;
+      continue;
+    }
+    
+    // Still backing off from the last failure
+    if (entry.nextAttemptAt > now) {
+      break;
+    }
+    
+    try {
+      const response = await fetch(new Request(entry.url, {
+        method: entry.method,
+        headers: entry.headers,
+        body: entry.body.byteLength > 0 ? entry.body : undefined,
+        credentials: entry.credentials
+      }));
+      
+      // Server errors are worth retrying; client errors never will succeed
+      if (response.status >= 500) {
+        throw new Error(`Server responded with ${response.status}`);
+      }
+      
+      await deleteQueuedRequest(entry.id);
+      result.replayed++;
+      result.remaining--;
+      logger.log(`📤 Replayed ${entry.method} ${entry.url} (${response.status})`);
+    } catch (error) {
+      entry.attempts++;
+      
+      if (entry.attempts >= QUEUE_CONFIG.maxRetries) {
+        logger.error(`❌ Giving up on queued request after ${entry.attempts} attempts:`, entry.url, error);
+        await deleteQueuedRequest(entry.id);
+        result.dropped++;
+        result.remaining--;
+        continue;
+      }
+      
+      entry.nextAttemptAt = now + QUEUE_CONFIG.retryDelaySeconds * 1000 * Math.pow(2, entry.attempts - 1);
+      await withStore(QUEUE_STORE, 'readwrite', store => promisifyRequest(store.put(entry)));
+      logger.warn(`⚠️ Replay failed for ${entry.url}, retry ${entry.attempts}/${QUEUE_CONFIG.maxRetries}`);
+      break;
+    }
+  }
+  
+  if (result.replayed > 0 || result.dropped > 0) {
+    postToClients({ action: 'QUEUE_REPLAYED', data: result });
+  }
+  
+  return result;
+}
+
+async function deleteQueuedRequest(id) {
+  await withStore(QUEUE_STORE, 'readwrite', store => promisifyRequest(store.delete(id)));
 }
 
 // Push notification handling
+// The server controls the notification through a JSON payload:
+// { title, body, icon, badge, url, tag, actions, data }
+// Plain-text payloads are shown as the body under the default title.
 self.addEventListener('push', (event) => {
   logger.log('📱 Push notification received');
   
+  const payload = parsePushPayload(event.data);
+  
   const options = {
-    body: event.data ? event.data.text() : 'New notification',
-    icon: '/assets/icon-192x192.png',
-    badge: '/assets/badge-72x72.png',
+    body: payload.body || 'New notification',
+    icon: payload.icon || '/assets/icon-192x192.png',
+    badge: payload.badge || '/assets/badge-72x72.png',
     vibrate: [100, 50, 100],
     data: {
-      dateOfArrival: Date.now(),
-      primaryKey: 1
+      ...payload.data,
+      url: payload.url || '/',
+      dateOfArrival: Date.now()
     },
-    actions: [
+    actions: payload.actions || [
       {
         action: 'explore',
         title: 'View',
@@ -436,22 +1559,83 @@ self.addEventListener('push', (event) => {
     ]
   };
   
+  if (payload.tag) {
+    options.tag = payload.tag;
+  }
+  
   event.waitUntil(
-    self.registration.showNotification('PWA Template', options)
+    self.registration.showNotification(payload.title || 'PWA Template', options)
   );
 });
 
+function parsePushPayload(data) {
+  if (!data) {
+    return {};
+  }
+  
+  try {
+    const payload = data.json();
+    return payload && typeof payload === 'object' ? payload : { body: String(payload) };
+  } catch (error) {
+    return { body: data.text() };
+  }
+}
+
 // Notification click handling
+// Actions that only dismiss the notification - nothing to focus or open
+const DISMISS_ACTIONS = ['close', 'later', 'dismiss'];
+
 self.addEventListener('notificationclick', (event) => {
   logger.log('🔔 Notification clicked:', event.action);
   
   event.notification.close();
+  event.waitUntil(handleNotificationClick(event));
+});
+
+// Focus (and navigate) an existing window when there is one, otherwise open
+// a new one, then forward the click so NotificationManager's callbacks run.
+// Windows opened here may finish loading after the message is delivered.
+async function handleNotificationClick(event) {
+  const { notification } = event;
+  const action = event.action || 'default';
+  const data = notification.data || {};
+  const message = {
+    action: 'NOTIFICATION_CLICK',
+    data: { action, data, tag: notification.tag }
+  };
+  
+  const windowClients = await clients.matchAll({ type: 'window', includeUncontrolled: true });
   
-  if (event.action === 'explore') {
-    event.waitUntil(
-      clients.openWindow('/')
-    );
+  if (DISMISS_ACTIONS.includes(action)) {
+    windowClients.forEach(client => client.postMessage(message));
+    return;
   }
-});
+  
+  const targetUrl = new URL(data.url || '/', self.location.origin).href;
+  let client = windowClients.find(windowClient => windowClient.url === targetUrl) ||
+    windowClients.find(windowClient => windowClient.focused) ||
+    windowClients[0];
+  
+  try {
+    if (client) {
+      client = await client.focus();
+      if (client.url !== targetUrl && 'navigate' in client) {
+        // navigate() only works on controlled clients and resolves to null cross-origin
+        client = await client.navigate(targetUrl).catch((error) => {
+          logger.warn('⚠️ Could not navigate client:', error);
+          return client;
+        }) || client;
+      }
+    } else {
+      client = await clients.openWindow(targetUrl);
+    }
+  } catch (error) {
+    logger.error('❌ Failed to focus or open a window:', error);
+  }
+  
+  if (client) {
+    client.postMessage(message);
+  }
+}
 
 logger.log('🔧 Service Worker script loaded');
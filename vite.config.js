@@ -1,12 +1,26 @@
 import { defineConfig } from 'vite'
 import { resolve, dirname } from 'path'
-import { copyFileSync, cpSync } from 'fs'
+import { cpSync, readFileSync, readdirSync, writeFileSync } from 'fs'
+import { createHash } from 'crypto'
 import { fileURLToPath } from 'url'
+import { resolveBuildId, writeBuildInfo } from './scripts/build-info.js'
 
 // ES modules don't have __dirname, so we create it
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
+// One build identifier for the whole pipeline: service worker cache names,
+// client managers (__BUILD_ID__) and build-info.json all share it
+const BUILD_ID = resolveBuildId()
+
+// Precache manifest of the current build - injected into sw.js and
+// published in build-info.json so clients can diff deployed vs running assets
+let precacheManifest = null
+
+// Emergency builds (npm run build:kill-switch) ship a service worker that
+// removes itself and set the kill-switch flag so pages stop registering one
+const KILL_SWITCH_BUILD = process.env.SW_KILL_SWITCH === 'true'
+
 /**
  * BUILD SYSTEM (DEPLOYMENT MODEL):
  *
@@ -32,18 +46,140 @@ const __dirname = dirname(__filename)
  * ⚠️  CRITICAL: Never edit files in /docs manually - they are auto-generated!
  */
 
-// Plugin to copy service worker to output root
+// Plugin to copy service worker to output root, stamping the build ID
 function copyServiceWorker() {
   return {
     name: 'copy-service-worker',
     closeBundle: async () => {
       const swSource = resolve(__dirname, 'src/sw.js')
       const swDest = resolve(__dirname, 'docs/sw.js')
+      if (KILL_SWITCH_BUILD) {
+        writeKillSwitchServiceWorker(swDest)
+        return
+      }
       try {
-        copyFileSync(swSource, swDest)
-        console.log('✅ Service worker copied to output directory')
+        const swContent = readFileSync(swSource, 'utf-8')
+        if (!swContent.includes('self.__BUILD_ID')) {
+          throw new Error('self.__BUILD_ID injection point not found in sw.js')
+        }
+        writeFileSync(swDest, swContent.replace('self.__BUILD_ID', () => JSON.stringify(BUILD_ID)), 'utf-8')
+        console.log(`✅ Service worker copied to output directory (${BUILD_ID})`)
       } catch (error) {
         console.error('❌ Failed to copy service worker:', error)
+        // A worker without its build ID or manifest must not ship - fail the build
+        throw error
+      }
+    }
+  }
+}
+
+// Emergency variant: the no-op service worker plus a set kill-switch flag
+function writeKillSwitchServiceWorker(swDest) {
+  try {
+    cpSync(resolve(__dirname, 'src/sw-kill-switch.js'), swDest)
+    writeFileSync(
+      resolve(__dirname, 'docs/sw-kill-switch.json'),
+      JSON.stringify({
+        killSwitch: true,
+        reason: process.env.SW_KILL_SWITCH_REASON || 'Emergency kill-switch build',
+        buildId: BUILD_ID
+      }, null, 2) + '\n',
+      'utf-8'
+    )
+    console.log('🛑 Kill-switch service worker written - deployed clients will unregister')
+  } catch (error) {
+    console.error('❌ Failed to write kill-switch service worker:', error)
+    throw error
+  }
+}
+
+// Files in the output directory that must never be precached:
+// the service worker itself, build metadata and the kill-switch flag (both
+// fetched fresh) and the copied project documentation
+const PRECACHE_EXCLUDE = ['sw.js', 'build', 'build-info.json', 'sw-kill-switch.json', 'CNAME', 'project-docs']
+
+// Recursively list files under `dir` as URL paths relative to the output root
+function listOutputFiles(dir, prefix = '') {
+  const files = []
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const relativePath = `${prefix}/${entry.name}`
+    if (PRECACHE_EXCLUDE.includes(relativePath.slice(1))) continue
+    if (entry.isDirectory()) {
+      files.push(...listOutputFiles(resolve(dir, entry.name), relativePath))
+    } else {
+      files.push(relativePath)
+    }
+  }
+  return files
+}
+
+// Plugin to inject a precache manifest into the copied service worker
+// Runs after copyServiceWorker() so every emitted asset (hashed JS/CSS,
+// index.html and the public dir) is on disk and can be content-hashed.
+// On install the service worker copies entries whose hash is unchanged from
+// the previous build's cache and only downloads the rest.
+function injectPrecacheManifest() {
+  return {
+    name: 'inject-precache-manifest',
+    closeBundle: {
+      order: 'post',
+      sequential: true,
+      handler: async () => {
+        // The kill-switch worker caches nothing
+        if (KILL_SWITCH_BUILD) return
+
+        const outDir = resolve(__dirname, 'docs')
+        const swDest = resolve(outDir, 'sw.js')
+        try {
+          const manifest = listOutputFiles(outDir).sort().map(url => ({
+            url,
+            revision: createHash('sha256')
+              .update(readFileSync(resolve(outDir, `.${url}`)))
+              .digest('hex')
+              .slice(0, 16)
+          }))
+
+          // The app shell is also requested as '/', so precache it under both URLs
+          const indexEntry = manifest.find(entry => entry.url === '/index.html')
+          if (indexEntry) {
+            manifest.unshift({ url: '/', revision: indexEntry.revision })
+          }
+
+          const swContent = readFileSync(swDest, 'utf-8')
+          if (!swContent.includes('self.__PRECACHE_MANIFEST')) {
+            throw new Error('self.__PRECACHE_MANIFEST injection point not found in sw.js')
+          }
+          writeFileSync(
+            swDest,
+            swContent.replace('self.__PRECACHE_MANIFEST', () => JSON.stringify(manifest, null, 2)),
+            'utf-8'
+          )
+          precacheManifest = manifest
+          console.log(`✅ Precache manifest injected (${manifest.length} entries)`)
+        } catch (error) {
+          console.error('❌ Failed to inject precache manifest:', error)
+          throw error
+        }
+      }
+    }
+  }
+}
+
+// Plugin to write /docs/build and /docs/build-info.json for this build
+// Runs after injectPrecacheManifest() so the manifest can be published too
+function generateBuildInfo() {
+  return {
+    name: 'generate-build-info',
+    closeBundle: {
+      order: 'post',
+      sequential: true,
+      handler: async () => {
+        try {
+          writeBuildInfo(BUILD_ID, { precache: precacheManifest ?? undefined })
+        } catch (error) {
+          console.error('❌ Failed to generate build info:', error)
+          throw error
+        }
       }
     }
   }
@@ -86,14 +222,24 @@ export default defineConfig({
       }
     }
   },
+  define: {
+    // Read via src/js/utils/BuildInfo.js
+    __BUILD_ID__: JSON.stringify(BUILD_ID)
+  },
   plugins: [
     copyServiceWorker(),
+    injectPrecacheManifest(),
+    generateBuildInfo(),
     copyProjectDocs()
   ],
   server: {
     port: 3456,        // Registered in PORT_REGISTRY.md
     host: '0.0.0.0',   // Allow network access
-    strictPort: true   // Fail fast if port is taken (prevents conflicts)
+    strictPort: true,  // Fail fast if port is taken (prevents conflicts)
+    proxy: {
+      // Local stand-in push server: npm run push-server
+      '/api/push': 'http://localhost:3458'
+    }
   }
 })
 